@@ -0,0 +1,222 @@
+/*
+ * Back in stock emails for sold out variants. BackInStock posts a subscription to the endpoint set under
+ * Theme settings > Back in stock and remembers it in localStorage, so the form shows "we'll let you know"
+ * instead of asking again. <back-in-stock-form> (snippets/back-in-stock.liquid) sits under the product
+ * form on product pages, in quick add and on cards; the shop page quick view uses BackInStock directly.
+ *
+ * Set window.backInStockBackend to a function (subscription) => Promise to replace the endpoint, e.g.
+ * () => Promise.resolve() for local testing.
+ */
+class BackInStock {
+  static STORAGE_KEY = 'hydrox-back-in-stock';
+
+  // A variant that sells out again months later is a new subscription
+  static MAX_AGE = 90 * 24 * 60 * 60 * 1000;
+
+  static get settings() {
+    return window.backInStockSettings || {};
+  }
+
+  static get customerId() {
+    return this.settings.customerId || null;
+  }
+
+  static read() {
+    try {
+      const subscriptions = JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {};
+      const now = Date.now();
+      Object.keys(subscriptions).forEach((variantId) => {
+        if (now - subscriptions[variantId] > this.MAX_AGE) delete subscriptions[variantId];
+      });
+      return subscriptions;
+    } catch (e) {
+      return {};
+    }
+  }
+
+  static isSubscribed(variantId) {
+    return !!variantId && String(variantId) in this.read();
+  }
+
+  static remember(variantId) {
+    const subscriptions = this.read();
+    subscriptions[variantId] = Date.now();
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(subscriptions));
+    } catch (e) {
+      // Storage disabled: the form asks again on the next page
+    }
+  }
+
+  /**
+   * Subscribes an email, or the logged-in customer when there's none, to a variant.
+   * @param {Object} subscription { variantId, productId, email }
+   * @returns {Promise} Resolves once the endpoint has accepted it
+   */
+  static subscribe({ variantId, productId, email = null }) {
+    const subscription = {
+      variantId: Number(variantId),
+      productId: Number(productId),
+      email,
+      customerId: this.customerId,
+      locale: document.documentElement.lang,
+      url: window.location.href,
+    };
+    const backend = window.backInStockBackend || this.post.bind(this);
+
+    return Promise.resolve()
+      .then(() => backend(subscription))
+      .then(() => this.remember(variantId));
+  }
+
+  static post(subscription) {
+    if (!this.settings.endpoint) return Promise.reject(new Error('Back in stock: no endpoint set'));
+
+    return fetch(this.settings.endpoint, {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(subscription),
+    }).then((response) => {
+      if (!response.ok) throw new Error(`Back in stock: subscription failed (${response.status})`);
+      return response;
+    });
+  }
+}
+
+// For the shop page, whose scripts check for it on window
+window.BackInStock = BackInStock;
+
+if (!customElements.get('back-in-stock-form')) {
+  customElements.define(
+    'back-in-stock-form',
+    class BackInStockForm extends HTMLElement {
+      constructor() {
+        super();
+
+        this.toggle = this.querySelector('.back-in-stock__toggle');
+        this.form = this.querySelector('.back-in-stock__form');
+        this.emailInput = this.form.querySelector('input[name="email"]');
+        this.submitButton = this.form.querySelector('[type="submit"]');
+        this.errorMessage = this.querySelector('.back-in-stock__error');
+        this.status = this.querySelector('.back-in-stock__status');
+
+        this.toggle?.addEventListener('click', this.onToggle.bind(this));
+        this.form.addEventListener('submit', this.onSubmit.bind(this));
+        this.onVariantInputChange = this.onVariantInputChange.bind(this);
+      }
+
+      variantChangeUnsubscriber = undefined;
+
+      connectedCallback() {
+        this.render();
+
+        this.variantChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.variantChange, ({ data }) => {
+          if (data.sectionId !== this.sectionId) return;
+          // The quick add modal and the product page behind it can share a section id
+          if (this.variantIdInput && this.variantIdInput.value !== String(data.variant.id)) return;
+          this.update(data.variant);
+        });
+
+        // No variantChange is published for option combinations without a variant
+        this.variantIdInput?.addEventListener('change', this.onVariantInputChange);
+      }
+
+      disconnectedCallback() {
+        if (this.variantChangeUnsubscriber) this.variantChangeUnsubscriber();
+        this.variantIdInput?.removeEventListener('change', this.onVariantInputChange);
+      }
+
+      get sectionId() {
+        return this.closest('product-info')?.sectionId || this.dataset.sectionId;
+      }
+
+      get variantIdInput() {
+        return document.getElementById(this.dataset.productForm)?.querySelector('input[name="id"]');
+      }
+
+      onVariantInputChange() {
+        if (!this.variantIdInput.value) this.update(null);
+      }
+
+      update(variant) {
+        const changed = String(variant?.id ?? '') !== this.dataset.variantId;
+        this.dataset.variantId = variant?.id ?? '';
+        this.hidden = !variant || variant.available;
+
+        if (changed) this.collapse();
+        this.render();
+      }
+
+      render() {
+        const subscribed = BackInStock.isSubscribed(this.dataset.variantId);
+        this.status.hidden = !subscribed;
+        if (this.toggle) {
+          this.toggle.hidden = subscribed;
+          if (subscribed) this.form.hidden = true;
+        } else {
+          this.form.hidden = subscribed;
+        }
+      }
+
+      collapse() {
+        this.showError('');
+        if (!this.toggle) return;
+        this.toggle.setAttribute('aria-expanded', 'false');
+        this.form.hidden = true;
+      }
+
+      onToggle() {
+        const expanded = this.toggle.getAttribute('aria-expanded') === 'true';
+        this.toggle.setAttribute('aria-expanded', !expanded);
+        this.form.hidden = expanded;
+        if (!expanded) this.emailInput.focus();
+      }
+
+      onSubmit(event) {
+        event.preventDefault();
+        if (this.submitButton.getAttribute('aria-disabled') === 'true') return;
+
+        if (this.emailInput && !this.emailInput.checkValidity()) {
+          this.showError(this.dataset.emailError);
+          this.emailInput.focus();
+          return;
+        }
+        this.showError('');
+
+        this.submitButton.setAttribute('aria-disabled', true);
+        this.submitButton.classList.add('loading');
+        this.querySelector('.loading__spinner').classList.remove('hidden');
+
+        BackInStock.subscribe({
+          variantId: this.dataset.variantId,
+          productId: this.dataset.productId,
+          email: this.emailInput ? this.emailInput.value.trim() : null,
+        })
+          .then(() => {
+            this.render();
+            this.status.focus();
+          })
+          .catch((e) => {
+            console.error(e);
+            this.showError(this.dataset.error);
+          })
+          .finally(() => {
+            this.submitButton.removeAttribute('aria-disabled');
+            this.submitButton.classList.remove('loading');
+            this.querySelector('.loading__spinner').classList.add('hidden');
+          });
+      }
+
+      showError(message) {
+        this.errorMessage.textContent = message;
+        this.errorMessage.hidden = !message;
+        if (message) {
+          this.emailInput?.setAttribute('aria-invalid', 'true');
+        } else {
+          this.emailInput?.removeAttribute('aria-invalid');
+        }
+      }
+    }
+  );
+}
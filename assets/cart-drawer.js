@@ -4,6 +4,7 @@ class CartDrawer extends HTMLElement {
 
     this.addEventListener('keyup', (evt) => evt.code === 'Escape' && this.close());
     this.querySelector('#CartDrawer-Overlay').addEventListener('click', this.close.bind(this));
+    this.addEventListener('submit', checkCartAttributesOnCheckout);
     this.setHeaderCartIconAccessibility();
   }
 
@@ -134,3 +135,120 @@ class CartDrawerItems extends CartItems {
 }
 
 customElements.define('cart-drawer-items', CartDrawerItems);
+
+/*
+ * Recommendations rail under the drawer's line items. Products in the cart are used as seeds: the
+ * complementary and related recommendations for the most recently added ones are merged, and
+ * anything already in the cart is left out. Each result renders its own product form, so items
+ * are added in one tap and the drawer re-renders like after any other add.
+ */
+class CartDrawerRecommendations extends ProductRecommendations {
+  static intents = ['complementary', 'related'];
+  static maxSeeds = 3;
+
+  // The drawer is re-rendered on every cart change; results (or pending requests) for the same cart are reused
+  static cache = new Map();
+
+  cartUpdateUnsubscriber = undefined;
+
+  connectedCallback() {
+    this.productIds = JSON.parse(this.dataset.productIds || '[]');
+    this.list = this.querySelector('.cart-recommendations__list');
+
+    if (CartDrawerRecommendations.cache.has(this.cacheKey)) {
+      this.loadRecommendations();
+    } else {
+      this.initializeRecommendations();
+    }
+
+    this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => this.onCartUpdate(event));
+  }
+
+  disconnectedCallback() {
+    this.observer?.disconnect();
+    if (this.cartUpdateUnsubscriber) {
+      this.cartUpdateUnsubscriber();
+    }
+  }
+
+  get cacheKey() {
+    return this.productIds.join(',');
+  }
+
+  onCartUpdate(event) {
+    const cartData = event.cartData;
+    const cart =
+      cartData && 'item_count' in cartData && Array.isArray(cartData.items)
+        ? Promise.resolve(cartData)
+        : // Adds respond with the added items rather than the whole cart
+          fetch(`${routes.cart_url}.js`, { headers: { Accept: 'application/json' } }).then((response) =>
+            response.json()
+          );
+
+    return cart
+      .then((cart) => {
+        const productIds = [...new Set(cart.items.map((item) => item.product_id))];
+        if (productIds.join(',') === this.cacheKey) return;
+
+        this.productIds = productIds;
+        return this.loadRecommendations();
+      })
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+
+  loadRecommendations() {
+    const cacheKey = this.cacheKey;
+    if (!CartDrawerRecommendations.cache.has(cacheKey)) {
+      const request = this.fetchMerged().catch((e) => {
+        CartDrawerRecommendations.cache.delete(cacheKey);
+        throw e;
+      });
+      CartDrawerRecommendations.cache.set(cacheKey, request);
+    }
+
+    return CartDrawerRecommendations.cache
+      .get(cacheKey)
+      .then((markup) => {
+        // The cart may have changed again while these were loading
+        if (cacheKey === this.cacheKey) this.renderRecommendations(markup);
+      })
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+
+  fetchMerged() {
+    const excluded = this.productIds.map(String);
+    const seeds = this.productIds.slice(0, CartDrawerRecommendations.maxSeeds);
+    const requests = seeds.flatMap((productId) =>
+      CartDrawerRecommendations.intents.map((intent) =>
+        this.fetchRecommendations(productId, `${this.dataset.url}&intent=${intent}`).catch(() => null)
+      )
+    );
+
+    return Promise.all(requests).then((results) => {
+      const limit = parseInt(this.dataset.limit) || 4;
+      const items = [];
+
+      results.forEach((html) => {
+        html?.querySelectorAll('.cart-recommendations__item').forEach((item) => {
+          const productId = item.dataset.productId;
+          if (items.length >= limit || excluded.includes(productId)) return;
+          if (items.some((added) => added.dataset.productId === productId)) return;
+          items.push(item);
+        });
+      });
+
+      return items.map((item) => item.outerHTML).join('');
+    });
+  }
+
+  renderRecommendations(markup) {
+    this.list.innerHTML = markup;
+    this.classList.toggle('product-recommendations--loaded', markup.length > 0);
+  }
+}
+
+customElements.define('cart-drawer-recommendations', CartDrawerRecommendations);
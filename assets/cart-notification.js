@@ -10,6 +10,7 @@ class CartNotification extends HTMLElement {
     this.querySelectorAll('button[type="button"]').forEach((closeButton) =>
       closeButton.addEventListener('click', this.close.bind(this))
     );
+    this.addEventListener('submit', checkCartAttributesOnCheckout);
   }
 
   open() {
@@ -0,0 +1,130 @@
+if (!customElements.get('cart-progress')) {
+  customElements.define(
+    'cart-progress',
+    class CartProgress extends HTMLElement {
+      // Progress outlives the element: the drawer and cart sections are re-rendered on every change,
+      // and the new element animates from, and announces changes to, what the old one showed
+      static displayedRatios = {};
+      static displayedMessages = {};
+
+      cartUpdateUnsubscriber = undefined;
+
+      connectedCallback() {
+        const config = JSON.parse(this.querySelector('script[type="application/json"]').textContent);
+        this.strings = config.strings;
+        this.tiers = config.tiers.map((tier) => ({
+          ...tier,
+          threshold: this.resolveThreshold(tier, config),
+          element: this.querySelector(`[data-tier="${tier.id}"]`),
+        }));
+        this.liveRegion = this.querySelector('[role="status"]');
+
+        this.render({ total_price: parseInt(this.dataset.total), item_count: parseInt(this.dataset.count) });
+
+        this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => this.onCartUpdate(event));
+      }
+
+      disconnectedCallback() {
+        if (this.cartUpdateUnsubscriber) {
+          this.cartUpdateUnsubscriber();
+        }
+      }
+
+      /*
+       * Thresholds are set in the shop currency. "overrides" lists exact values for markets or
+       * currencies, e.g. "eu: 150, GBP: 130"; anything else is converted with the market's rate.
+       * Amounts are returned in cents, quantities as item counts.
+       */
+      resolveThreshold(tier, config) {
+        const keys = [config.market, config.currency].filter(Boolean).map((key) => key.toLowerCase());
+        const override = (tier.overrides || '')
+          .split(',')
+          .map((entry) => entry.split(':').map((part) => part.trim()))
+          .find(([key, value]) => key && keys.includes(key.toLowerCase()) && !isNaN(parseFloat(value)));
+
+        if (tier.type === 'quantity') return override ? parseFloat(override[1]) : tier.threshold;
+        if (override) return Math.round(parseFloat(override[1]) * 100);
+
+        const rate = config.currency !== config.shopCurrency ? parseFloat(window.Shopify?.currency?.rate) || 1 : 1;
+        return Math.ceil(tier.threshold * rate) * 100;
+      }
+
+      onCartUpdate(event) {
+        const cartData = event.cartData;
+        if (cartData && 'total_price' in cartData && 'item_count' in cartData) {
+          return this.render(cartData);
+        }
+
+        // Adds respond with the added items rather than the whole cart
+        return fetch(`${routes.cart_url}.js`, { headers: { Accept: 'application/json' } })
+          .then((response) => response.json())
+          .then((cart) => this.render(cart))
+          .catch((e) => {
+            console.error(e);
+          });
+      }
+
+      render(cart) {
+        const changedMessages = [];
+
+        this.tiers.forEach((tier) => {
+          if (!tier.element) return;
+
+          const value = tier.type === 'quantity' ? cart.item_count : cart.total_price;
+          const remaining = Math.max(tier.threshold - value, 0);
+          const ratio = Math.min(value / tier.threshold, 1);
+          const message = this.getMessage(tier, remaining);
+
+          const previousMessage = CartProgress.displayedMessages[tier.id];
+          if (previousMessage !== undefined && previousMessage !== message) changedMessages.push(message);
+          CartProgress.displayedMessages[tier.id] = message;
+          tier.element.querySelector('.cart-progress__message').textContent = message;
+
+          tier.element.classList.toggle('is-unlocked', remaining === 0);
+          tier.element.querySelector('.cart-progress__bar').setAttribute('aria-valuenow', Math.round(ratio * 100));
+          this.animateFill(tier, ratio);
+        });
+
+        if (changedMessages.length) this.announce(changedMessages.join(' '));
+      }
+
+      getMessage(tier, remaining) {
+        if (remaining === 0) return this.strings.unlocked.replace('[reward]', tier.reward);
+
+        if (tier.type === 'quantity') {
+          const template = remaining === 1 ? this.strings.remainingQuantityOne : this.strings.remainingQuantity;
+          return template.replace('[count]', remaining).replace('[reward]', tier.reward);
+        }
+
+        return this.strings.remainingAmount
+          .replace('[amount]', formatMoney(remaining))
+          .replace('[reward]', tier.reward);
+      }
+
+      animateFill(tier, ratio) {
+        const fill = tier.element.querySelector('.cart-progress__fill');
+        const previous = CartProgress.displayedRatios[tier.id];
+        CartProgress.displayedRatios[tier.id] = ratio;
+
+        if (!fill.style.transform) {
+          fill.classList.add('cart-progress__fill--instant');
+          fill.style.transform = `scaleX(${previous === undefined ? ratio : previous})`;
+          // Flush the start position so the transition runs from it
+          fill.getBoundingClientRect();
+          fill.classList.remove('cart-progress__fill--instant');
+        }
+        fill.style.transform = `scaleX(${ratio})`;
+      }
+
+      // Same pattern as CartItems.updateLiveRegions: expose the region briefly so it's read once
+      announce(message) {
+        this.liveRegion.textContent = message;
+        this.liveRegion.setAttribute('aria-hidden', false);
+
+        setTimeout(() => {
+          this.liveRegion.setAttribute('aria-hidden', true);
+        }, 1000);
+      }
+    }
+  );
+}
@@ -0,0 +1,143 @@
+/*
+ * Cart requests that failed because the shopper was offline.
+ *
+ * Operations are kept in IndexedDB in the order they were made and replayed one by one once the
+ * connection is back: by the page (cart-sync.js) or, when no page is open, by cart-sync-worker.js
+ * through Background Sync. This file doesn't touch the DOM so the worker can importScripts it.
+ */
+class CartOperationQueue {
+  static DB_NAME = 'hydrox-cart-queue';
+  static STORE = 'operations';
+  static SYNC_TAG = 'cart-queue';
+  static LOCK = 'cart-queue';
+
+  // Section HTML rendered offline would be stale by the time the request is replayed
+  static DROPPED_FIELDS = ['sections', 'sections_url'];
+
+  static open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        const request = self.indexedDB.open(this.DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.database;
+  }
+
+  static transaction(mode, callback) {
+    return this.open().then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const tx = db.transaction(this.STORE, mode);
+          const request = callback(tx.objectStore(this.STORE));
+          tx.oncomplete = () => resolve(request && request.result);
+          tx.onerror = () => reject(tx.error);
+          tx.onabort = () => reject(tx.error);
+        })
+    );
+  }
+
+  static getAll() {
+    return this.transaction('readonly', (store) => store.getAll());
+  }
+
+  static count() {
+    return this.transaction('readonly', (store) => store.count()).catch(() => 0);
+  }
+
+  static delete(id) {
+    return this.transaction('readwrite', (store) => store.delete(id));
+  }
+
+  /*
+   * Stores a cart request for later. `body` is the FormData or JSON string that was sent;
+   * `details` ({ type, variantId }) is kept alongside so conflicts can be reported.
+   */
+  static async add(url, body, details = {}) {
+    const operation = {
+      url: new URL(url, self.location.origin).href,
+      body: this.serializeBody(body),
+      type: details.type || 'change',
+      variantId: details.variantId || null,
+      createdAt: Date.now(),
+    };
+    return this.transaction('readwrite', (store) => store.add(operation));
+  }
+
+  static serializeBody(body) {
+    if (body instanceof FormData) {
+      return { form: [...body.entries()].filter(([name]) => !this.DROPPED_FIELDS.includes(name)) };
+    }
+
+    const json = JSON.parse(body);
+    this.DROPPED_FIELDS.forEach((name) => delete json[name]);
+    return { json };
+  }
+
+  static requestConfig(operation) {
+    if (operation.body.form) {
+      const body = new FormData();
+      operation.body.form.forEach(([name, value]) => body.append(name, value));
+      return {
+        method: 'POST',
+        headers: { Accept: 'application/javascript', 'X-Requested-With': 'XMLHttpRequest' },
+        body,
+      };
+    }
+
+    return {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(operation.body.json),
+    };
+  }
+
+  /*
+   * Sends the stored operations in order. Stops at the first network or server error and keeps the
+   * rest for the next attempt. Operations the store rejects (sold out, not enough stock) are dropped
+   * and returned as conflicts: [{ operation, description, message }].
+   * Resolves with { replayed, conflicts, remaining }.
+   */
+  static replay() {
+    const run = () => this.replayOperations();
+    return self.navigator.locks ? self.navigator.locks.request(this.LOCK, run) : run();
+  }
+
+  static async replayOperations() {
+    const conflicts = [];
+    let replayed = 0;
+
+    for (const operation of await this.getAll()) {
+      let response;
+      try {
+        response = await fetch(operation.url, { credentials: 'same-origin', ...this.requestConfig(operation) });
+      } catch (e) {
+        break;
+      }
+      if (response.status >= 500) break;
+
+      const parsedState = await response.json().catch(() => ({}));
+      if (!response.ok || parsedState.status) {
+        conflicts.push({
+          operation,
+          description: parsedState.description || parsedState.errors || null,
+          message: parsedState.message || null,
+        });
+      }
+
+      await this.delete(operation.id);
+      replayed++;
+    }
+
+    return { replayed, conflicts, remaining: await this.count() };
+  }
+
+  // Chrome, Firefox and Safari word fetch's network TypeError differently
+  static isNetworkError(error) {
+    return !self.navigator.onLine || /failed to fetch|networkerror|load failed/i.test((error && error.message) || '');
+  }
+}
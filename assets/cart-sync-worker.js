@@ -0,0 +1,26 @@
+/*
+ * Replays cart operations queued while offline (see cart-queue.js) when Background Sync fires,
+ * which also covers the shopper having closed the store tab in the meantime.
+ *
+ * Theme assets are served from a path that can't control storefront pages, so this worker only
+ * handles `sync`; open pages replay on their own when they come back online.
+ */
+importScripts('cart-queue.js');
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== CartOperationQueue.SYNC_TAG) return;
+
+  event.waitUntil(
+    CartOperationQueue.replay().then(async (result) => {
+      const pages = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+      pages.forEach((page) => page.postMessage({ type: 'cart-queue:replayed', result }));
+
+      // Rejecting asks the browser to fire `sync` again later
+      if (result.remaining > 0) throw new Error('Cart operations are still waiting for a connection');
+    })
+  );
+});
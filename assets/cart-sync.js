@@ -0,0 +1,159 @@
+/*
+ * Keeps cart changes made offline (see cart-queue.js) and replays them once the shopper is back
+ * online. Cart requests call CartSync.queue() when their fetch fails for lack of a connection.
+ * Store-side rejections found during replay (e.g. the variant sold out meanwhile) are published
+ * as PUB_SUB_EVENTS.cartError with source 'cart-sync'.
+ */
+class CartSync {
+  static workerUrl = document.currentScript
+    ? document.currentScript.src.replace('cart-sync.js', 'cart-sync-worker.js')
+    : null;
+
+  static registration = null;
+
+  static init() {
+    if (!window.indexedDB) return;
+
+    if ('serviceWorker' in navigator && this.workerUrl) {
+      // Fails when assets are served from another origin; pages still replay on their own
+      this.registration = navigator.serviceWorker.register(this.workerUrl).catch(() => null);
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'cart-queue:replayed') this.onReplayed(event.data.result);
+      });
+    }
+
+    window.addEventListener('online', () => this.replay());
+    if (navigator.onLine) this.replay();
+  }
+
+  static shouldQueue(error) {
+    return !!window.indexedDB && CartOperationQueue.isNetworkError(error);
+  }
+
+  // details: { type: 'add' | 'change' | 'remove' | 'update', variantId }
+  static queue(url, body, details) {
+    return CartOperationQueue.add(url, body, details).then(() => {
+      this.requestBackgroundSync();
+      return this.publishPending();
+    });
+  }
+
+  static requestBackgroundSync() {
+    if (!this.registration) return;
+
+    this.registration
+      .then((registration) => {
+        if (registration && registration.sync) return registration.sync.register(CartOperationQueue.SYNC_TAG);
+      })
+      .catch(() => {});
+  }
+
+  static publishPending() {
+    return CartOperationQueue.count().then((pending) => publish(PUB_SUB_EVENTS.cartSync, { pending }));
+  }
+
+  static replay() {
+    return CartOperationQueue.count()
+      .then((pending) => {
+        if (pending) return CartOperationQueue.replay().then((result) => this.onReplayed(result));
+      })
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+
+  static onReplayed({ replayed, conflicts, remaining }) {
+    publish(PUB_SUB_EVENTS.cartSync, { pending: remaining });
+
+    conflicts.forEach((conflict) => {
+      publish(PUB_SUB_EVENTS.cartError, {
+        source: 'cart-sync',
+        productVariantId: conflict.operation.variantId,
+        errors: conflict.description,
+        message: conflict.message,
+      });
+    });
+
+    if (replayed) this.refreshCart();
+  }
+
+  // Brings the header bubble and cart components up to date with the replayed changes
+  static refreshCart() {
+    return fetch(`${routes.cart_url}.js`, { headers: { Accept: 'application/json' } })
+      .then((response) => response.json())
+      .then((cartData) => {
+        const cartDrawer = document.querySelector('cart-drawer');
+        if (cartDrawer) cartDrawer.classList.toggle('is-empty', cartData.item_count === 0);
+
+        publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-sync', cartData });
+        return fetch(`${window.location.pathname}?sections=cart-icon-bubble`);
+      })
+      .then((response) => response.json())
+      .then((sections) => {
+        const bubble = document.getElementById('cart-icon-bubble');
+        if (!bubble || !sections['cart-icon-bubble']) return;
+        bubble.innerHTML = new DOMParser()
+          .parseFromString(sections['cart-icon-bubble'], 'text/html')
+          .querySelector('.shopify-section').innerHTML;
+      })
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+}
+
+if (!customElements.get('cart-sync-status')) {
+  customElements.define(
+    'cart-sync-status',
+    class CartSyncStatus extends HTMLElement {
+      syncUnsubscriber = undefined;
+      cartErrorUnsubscriber = undefined;
+
+      connectedCallback() {
+        this.pendingElement = this.querySelector('.cart-sync-status__pending');
+        this.conflictsElement = this.querySelector('.cart-sync-status__conflicts');
+
+        this.syncUnsubscriber = subscribe(PUB_SUB_EVENTS.cartSync, (event) => this.renderPending(event.pending));
+        this.cartErrorUnsubscriber = subscribe(PUB_SUB_EVENTS.cartError, (event) => {
+          if (event.source === 'cart-sync') this.renderConflict(event.errors || event.message);
+        });
+
+        CartOperationQueue.count().then((pending) => this.renderPending(pending));
+      }
+
+      disconnectedCallback() {
+        if (this.syncUnsubscriber) this.syncUnsubscriber();
+        if (this.cartErrorUnsubscriber) this.cartErrorUnsubscriber();
+      }
+
+      renderPending(pending) {
+        this.pendingElement.textContent =
+          pending === 1
+            ? window.cartStrings.pendingSyncOne
+            : window.cartStrings.pendingSync.replace('[count]', pending);
+        this.pendingElement.classList.toggle('hidden', !pending);
+        this.toggleVisibility();
+      }
+
+      renderConflict(description) {
+        const item = document.createElement('li');
+        item.textContent = window.cartStrings.syncConflict.replace(
+          '[message]',
+          description || window.cartStrings.error
+        );
+        this.conflictsElement.appendChild(item);
+        this.toggleVisibility();
+      }
+
+      toggleVisibility() {
+        this.classList.toggle('is-pending', !this.pendingElement.classList.contains('hidden'));
+        this.toggleAttribute(
+          'hidden',
+          this.pendingElement.classList.contains('hidden') && !this.conflictsElement.children.length
+        );
+      }
+    }
+  );
+}
+
+CartSync.init();
@@ -0,0 +1,103 @@
+/*
+ * Mirrors cart changes across the shopper's open tabs. Every PUB_SUB_EVENTS.cartUpdate is announced
+ * on a BroadcastChannel (or through a localStorage write where BroadcastChannel isn't available);
+ * other tabs re-render their cart sections, using each cart component's getSectionsToRender(), and
+ * publish a cartUpdate of their own with source 'cart-tabs' so everything else on the page follows.
+ * Hidden tabs wait until they're shown again.
+ */
+class CartTabSync {
+  static CHANNEL = 'hydrox-cart';
+  static STORAGE_KEY = 'hydrox-cart-broadcast';
+  static SOURCE = 'cart-tabs';
+
+  static tabId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  static channel = null;
+  static stale = false;
+
+  static init() {
+    if ('BroadcastChannel' in window) {
+      this.channel = new BroadcastChannel(this.CHANNEL);
+      this.channel.addEventListener('message', (event) => this.onMessage(event.data));
+    } else {
+      window.addEventListener('storage', (event) => {
+        if (event.key === this.STORAGE_KEY && event.newValue) this.onMessage(JSON.parse(event.newValue));
+      });
+    }
+
+    subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
+      if (event.source !== this.SOURCE) this.broadcast(event.source);
+    });
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible' && this.stale) this.refresh();
+    });
+
+    // Several changes in quick succession (e.g. stepping a quantity) are rendered once
+    this.refresh = debounce(this.refresh.bind(this), ON_CHANGE_DEBOUNCE_TIMER);
+  }
+
+  static broadcast(source) {
+    const message = { tabId: this.tabId, source, sentAt: Date.now() };
+
+    if (this.channel) {
+      this.channel.postMessage(message);
+      return;
+    }
+
+    try {
+      // The storage event only fires on changes, so the value is removed again straight away
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(message));
+      localStorage.removeItem(this.STORAGE_KEY);
+    } catch (e) {
+      // Storage disabled: other tabs stay as they are until reloaded
+    }
+  }
+
+  static onMessage(message) {
+    if (!message || message.tabId === this.tabId) return;
+
+    this.stale = true;
+    if (document.visibilityState === 'visible') this.refresh();
+  }
+
+  static refresh() {
+    this.stale = false;
+
+    const cartItems = [...document.querySelectorAll('cart-items, cart-drawer-items')];
+    const sections = new Set(['cart-icon-bubble']);
+    cartItems.forEach((element) =>
+      element.getSectionsToRender().forEach((section) => sections.add(section.section))
+    );
+
+    return Promise.all([
+      fetch(`${routes.cart_url}.js`, { headers: { Accept: 'application/json' } }).then((response) => response.json()),
+      fetch(`${window.location.pathname}?sections=${[...sections].join(',')}`).then((response) => response.json()),
+    ])
+      .then(([cart, renderedSections]) => {
+        const parsedState = { ...cart, sections: renderedSections };
+
+        const cartDrawer = document.querySelector('cart-drawer');
+        if (cartDrawer) cartDrawer.classList.toggle('is-empty', cart.item_count === 0);
+
+        if (cartItems.length) {
+          cartItems.forEach((element) => element.renderSections(parsedState));
+        } else {
+          this.renderCartIconBubble(renderedSections['cart-icon-bubble']);
+        }
+
+        publish(PUB_SUB_EVENTS.cartUpdate, { source: this.SOURCE, cartData: cart });
+      })
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+
+  static renderCartIconBubble(html) {
+    const bubble = document.getElementById('cart-icon-bubble');
+    if (!bubble || !html) return;
+
+    bubble.innerHTML = new DOMParser().parseFromString(html, 'text/html').querySelector('.shopify-section').innerHTML;
+  }
+}
+
+CartTabSync.init();
@@ -5,6 +5,8 @@ class CartRemoveButton extends HTMLElement {
     this.addEventListener('click', (event) => {
       event.preventDefault();
       const cartItems = this.closest('cart-items') || this.closest('cart-drawer-items');
+      const removal = this.querySelector('script[type="application/json"]');
+      if (removal) cartItems.rememberRemoval(this.dataset.index, JSON.parse(removal.textContent));
       cartItems.updateQuantity(this.dataset.index, 0, event);
     });
   }
@@ -12,6 +14,139 @@ class CartRemoveButton extends HTMLElement {
 
 customElements.define('cart-remove-button', CartRemoveButton);
 
+class CartUndoToast extends HTMLElement {
+  constructor() {
+    super();
+
+    this.message = this.querySelector('.cart-undo-toast__message');
+    this.undoButton = this.querySelector('[name="undo"]');
+    this.undoButton.addEventListener('click', this.onUndo.bind(this));
+    this.querySelector('[name="close"]').addEventListener('click', () => this.hide());
+
+    // The countdown waits while the shopper is reaching for the button
+    this.addEventListener('focusin', () => clearTimeout(this.timer));
+    this.addEventListener('mouseenter', () => clearTimeout(this.timer));
+    this.addEventListener('focusout', () => this.startTimer());
+    this.addEventListener('mouseleave', () => this.startTimer());
+  }
+
+  show(removal, cartItems) {
+    this.removal = removal;
+    this.cartItems = cartItems;
+    this.message.textContent = window.cartStrings.lineRemoved.replace('[title]', removal.title);
+    this.undoButton.setAttribute('aria-label', window.cartStrings.undoLabel.replace('[title]', removal.title));
+    this.hidden = false;
+    this.startTimer();
+  }
+
+  hide() {
+    clearTimeout(this.timer);
+    this.hidden = true;
+    this.removal = null;
+  }
+
+  startTimer() {
+    clearTimeout(this.timer);
+    if (!this.removal || this.contains(document.activeElement)) return;
+    this.timer = setTimeout(() => this.hide(), parseInt(this.dataset.timeout));
+  }
+
+  onUndo() {
+    const removal = this.removal;
+    // The drawer may have re-rendered its cart-drawer-items since the line was removed
+    const cartItems = document.querySelector(this.cartItems);
+    this.hide();
+    if (removal && cartItems) cartItems.restoreLine(removal);
+  }
+}
+
+customElements.define('cart-undo-toast', CartUndoToast);
+
+class CartPropertiesEditor extends HTMLElement {
+  constructor() {
+    super();
+
+    this.toggleButton = this.querySelector('.cart-properties-editor__toggle');
+    // A group of fields inside the cart form, which can't hold a form of its own
+    this.fieldGroup = this.querySelector('.cart-properties-editor__form');
+    this.fields = this.fieldGroup.querySelectorAll('[data-property]');
+    this.saveButton = this.fieldGroup.querySelector('[name="save"]');
+    this.errorElement = this.querySelector('.cart-properties-editor__error');
+
+    this.toggleButton.addEventListener('click', () => this.toggle(this.fieldGroup.hidden));
+    this.fieldGroup.querySelector('[name="cancel"]').addEventListener('click', () => {
+      this.restore();
+      this.toggle(false);
+    });
+    this.saveButton.addEventListener('click', this.onSave.bind(this));
+    this.fieldGroup.addEventListener('input', (event) => event.target.setCustomValidity(''));
+    // Enter would otherwise submit the cart form
+    this.fieldGroup.addEventListener('keydown', (event) => {
+      if (event.key !== 'Enter' || event.target.tagName !== 'INPUT') return;
+      event.preventDefault();
+      this.onSave();
+    });
+  }
+
+  toggle(open) {
+    this.fieldGroup.hidden = !open;
+    // Closed fields are left out of the cart form's submission and validation
+    this.fields.forEach((field) => (field.disabled = !open));
+    this.toggleButton.setAttribute('aria-expanded', open);
+    this.errorElement.textContent = '';
+    if (open) this.fieldGroup.querySelector('input:not([type="hidden"]), select')?.focus();
+    else this.toggleButton.focus();
+  }
+
+  restore() {
+    this.fields.forEach((field) => {
+      field.setCustomValidity('');
+      if (field.tagName === 'SELECT') {
+        const selected = field.querySelector('option[selected]') || field.options[0];
+        if (selected) field.value = selected.value;
+      } else {
+        field.value = field.defaultValue;
+      }
+    });
+  }
+
+  validate() {
+    this.fieldGroup.querySelectorAll('input[type="text"]').forEach((input) => {
+      input.value = input.value.trim().replace(/\s+/g, ' ');
+      if (!input.value) input.setCustomValidity(input.dataset.blankError);
+      else if (input.validity.patternMismatch) input.setCustomValidity(input.dataset.patternError);
+    });
+    const invalid = Array.from(this.fields).find((field) => !field.checkValidity());
+    return invalid ? invalid.reportValidity() : true;
+  }
+
+  onSave() {
+    if (this.saveButton.getAttribute('aria-disabled') === 'true' || !this.validate()) return;
+
+    const properties = {};
+    this.fields.forEach((field) => {
+      properties[field.dataset.property] = field.value;
+    });
+
+    this.saveButton.setAttribute('aria-disabled', true);
+    this.saveButton.classList.add('loading');
+    const cartItems = this.closest('cart-items') || this.closest('cart-drawer-items');
+
+    cartItems
+      .updateProperties(this.dataset.index, properties)
+      .then((error) => {
+        // On success the line is re-rendered along with this editor
+        if (error) this.errorElement.textContent = error;
+      })
+      .finally(() => {
+        this.saveButton.removeAttribute('aria-disabled');
+        this.saveButton.classList.remove('loading');
+      });
+  }
+}
+
+customElements.define('cart-properties-editor', CartPropertiesEditor);
+
 class CartItems extends HTMLElement {
   constructor() {
     super();
@@ -22,18 +157,139 @@ class CartItems extends HTMLElement {
       this.onChange(event);
     }, ON_CHANGE_DEBOUNCE_TIMER);
 
-    this.addEventListener('change', debouncedOnChange.bind(this));
+    this.addEventListener('change', (event) => {
+      // Other fields in the cart (the recommendations rail, line properties) handle their own changes
+      if (!event.target.classList.contains('quantity__input')) return;
+      // Optimistic mode applies every change right away; requests are coalesced per line instead
+      if (this.hasAttribute('data-optimistic')) return this.onChange(event);
+      debouncedOnChange(event);
+    });
+  }
+
+  static surchargesChecked = false;
+  static syncingSurcharges = false;
+  static surchargeRecheck = false;
+  static lastSurchargeSync = null;
+
+  /*
+   * Personalised lines and their surcharge lines (product-personalisation.js) share a
+   * _personalisation_id property, and the personalised line names its surcharge variant in
+   * _personalisation_surcharge. After every change the surcharge is brought back in line: re-added
+   * if it's gone, set to the personalised line's quantity, and removed once that line is.
+   */
+  static syncSurcharges(cart) {
+    // Ordinary carts have nothing to reconcile
+    if (!cart.items.some((item) => item.properties?._personalisation_id)) {
+      CartItems.lastSurchargeSync = null;
+      return;
+    }
+    // A change made meanwhile is checked against the cart as it is once this sync is done
+    if (CartItems.syncingSurcharges) {
+      CartItems.surchargeRecheck = true;
+      return;
+    }
+
+    const lines = new Map();
+    const surcharges = new Map();
+    cart.items.forEach((item) => {
+      const id = item.properties?._personalisation_id;
+      if (id) (item.properties._personalisation_surcharge ? lines : surcharges).set(id, item);
+    });
+
+    const items = [];
+    const updates = {};
+    lines.forEach((line, id) => {
+      const surcharge = surcharges.get(id);
+      if (!surcharge) {
+        items.push({
+          id: line.properties._personalisation_surcharge,
+          quantity: line.quantity,
+          properties: { _personalisation_id: id, [window.cartStrings.surchargeFor]: line.product_title },
+        });
+      } else if (surcharge.quantity !== line.quantity) {
+        updates[surcharge.key] = line.quantity;
+      }
+    });
+    surcharges.forEach((surcharge, id) => {
+      if (!lines.has(id)) updates[surcharge.key] = 0;
+    });
+
+    const changes = JSON.stringify({ items, updates });
+    if (!items.length && !Object.keys(updates).length) {
+      CartItems.lastSurchargeSync = null;
+      return;
+    }
+    // The cart may refuse a change (e.g. the surcharge sold out), which isn't retried in a loop
+    if (changes === CartItems.lastSurchargeSync) return;
+    CartItems.lastSurchargeSync = changes;
+    CartItems.syncingSurcharges = true;
+
+    const cartItems = document.querySelector('cart-items') || document.querySelector('cart-drawer-items');
+    const added = items.length
+      ? fetch(`${routes.cart_add_url}`, { ...fetchConfig(), body: JSON.stringify({ items }) })
+          .then((response) => response.json())
+          .then((response) => {
+            if (response.status) throw new Error(response.description || response.message);
+          })
+      : Promise.resolve();
+
+    return added
+      .then(() => {
+        const body = JSON.stringify({
+          updates,
+          sections: cartItems ? cartItems.getSectionsToRender().map((section) => section.section) : [],
+          sections_url: window.location.pathname,
+        });
+        return fetch(`${routes.cart_update_url}`, { ...fetchConfig(), body });
+      })
+      .then((response) => response.json())
+      .then((parsedState) => {
+        if (parsedState.status) throw new Error(parsedState.description || parsedState.message);
+
+        cartItems?.renderSections(parsedState);
+        CartItems.syncingSurcharges = false;
+        publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-items', cartData: parsedState });
+      })
+      .catch((error) => {
+        console.error(error);
+        cartItems?.showCartError(error.message || undefined);
+      })
+      .finally(() => {
+        CartItems.syncingSurcharges = false;
+        if (!CartItems.surchargeRecheck) return;
+
+        CartItems.surchargeRecheck = false;
+        return CartItems.checkSurcharges();
+      });
+  }
+
+  static checkSurcharges() {
+    return fetch(`${routes.cart_url}.js`, { headers: { Accept: 'application/json' } })
+      .then((response) => response.json())
+      .then((cart) => CartItems.syncSurcharges(cart))
+      .catch((e) => console.error(e));
   }
 
   cartUpdateUnsubscriber = undefined;
 
+  optimisticBatch = null;
+
+  removals = new Map();
+
   connectedCallback() {
     this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
-      if (event.source === 'cart-items') {
+      // Changes from other tabs arrive with this component's sections already rendered (cart-tabs.js)
+      if (event.source === 'cart-items' || event.source === 'cart-tabs') {
         return;
       }
       return this.onCartUpdate();
     });
+
+    // The cart may have been changed where cart.js doesn't run, e.g. from the checkout
+    if (!CartItems.surchargesChecked && this.querySelector('[data-personalisation-id]')) {
+      CartItems.surchargesChecked = true;
+      CartItems.checkSurcharges();
+    }
   }
 
   disconnectedCallback() {
@@ -44,7 +300,7 @@ class CartItems extends HTMLElement {
 
   resetQuantityInput(id) {
     const input = this.querySelector(`#Quantity-${id}`);
-    input.value = input.getAttribute('value');
+    input.value = input.closest('.cart-item')?.dataset.displayedQuantity || input.getAttribute('value');
     this.isEnterPressed = false;
   }
 
@@ -146,6 +402,11 @@ class CartItems extends HTMLElement {
 
   updateQuantity(line, quantity, event, name, variantId) {
     const eventTarget = event.currentTarget instanceof CartRemoveButton ? 'clear' : 'change';
+
+    if (this.hasAttribute('data-optimistic') && this.getLineItem(line)?.dataset.lineKey) {
+      return this.queueOptimisticUpdate(line, quantity, eventTarget, name, variantId);
+    }
+
     const cartPerformanceUpdateMarker = CartPerformance.createStartingMarker(`${eventTarget}:user-action`);
 
     this.enableLoading(line);
@@ -175,22 +436,9 @@ class CartItems extends HTMLElement {
             return;
           }
 
-          this.classList.toggle('is-empty', parsedState.item_count === 0);
           const cartDrawerWrapper = document.querySelector('cart-drawer');
-          const cartFooter = document.getElementById('main-cart-footer');
-
-          if (cartFooter) cartFooter.classList.toggle('is-empty', parsedState.item_count === 0);
-          if (cartDrawerWrapper) cartDrawerWrapper.classList.toggle('is-empty', parsedState.item_count === 0);
-
-          this.getSectionsToRender().forEach((section) => {
-            const elementToReplace =
-              document.getElementById(section.id).querySelector(section.selector) ||
-              document.getElementById(section.id);
-            elementToReplace.innerHTML = this.getSectionInnerHTML(
-              parsedState.sections[section.section],
-              section.selector
-            );
-          });
+          this.renderSections(parsedState);
+
           const updatedValue = parsedState.items[line - 1] ? parsedState.items[line - 1].quantity : undefined;
           let message = '';
           if (items.length === parsedState.items.length && updatedValue !== parseInt(quantityElement.value)) {
@@ -201,6 +449,7 @@ class CartItems extends HTMLElement {
             }
           }
           this.updateLiveRegions(line, message);
+          this.offerUndo(parsedState);
 
           const lineItem =
             document.getElementById(`CartItem-${line}`) || document.getElementById(`CartDrawer-Item-${line}`);
@@ -217,10 +466,20 @@ class CartItems extends HTMLElement {
 
         publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-items', cartData: parsedState, variantId: variantId });
       })
-      .catch(() => {
+      .catch((error) => {
         this.querySelectorAll('.loading__spinner').forEach((overlay) => overlay.classList.add('hidden'));
-        const errors = document.getElementById('cart-errors') || document.getElementById('CartDrawer-CartErrors');
-        errors.textContent = window.cartStrings.error;
+
+        if (CartSync.shouldQueue(error)) {
+          const lineKey = this.getLineItem(line)?.dataset.lineKey;
+          return CartSync.queue(routes.cart_change_url, lineKey ? JSON.stringify({ id: lineKey, quantity }) : body, {
+            type: quantity === 0 ? 'remove' : 'change',
+            variantId,
+          })
+            .then(() => this.setLineItemError(line, window.cartStrings.queuedOffline))
+            .catch(() => this.showCartError());
+        }
+
+        this.showCartError();
       })
       .finally(() => {
         this.disableLoading(line);
@@ -228,10 +487,368 @@ class CartItems extends HTMLElement {
       });
   }
 
-  updateLiveRegions(line, message) {
+  renderSections(parsedState) {
+    this.classList.toggle('is-empty', parsedState.item_count === 0);
+    const cartDrawerWrapper = document.querySelector('cart-drawer');
+    const cartFooter = document.getElementById('main-cart-footer');
+
+    if (cartFooter) cartFooter.classList.toggle('is-empty', parsedState.item_count === 0);
+    if (cartDrawerWrapper) cartDrawerWrapper.classList.toggle('is-empty', parsedState.item_count === 0);
+
+    this.getSectionsToRender().forEach((section) => {
+      const elementToReplace =
+        document.getElementById(section.id).querySelector(section.selector) || document.getElementById(section.id);
+      elementToReplace.innerHTML = this.getSectionInnerHTML(parsedState.sections[section.section], section.selector);
+    });
+  }
+
+  /*
+   * Swaps a line for one with the given properties. /cart/change replaces the line where it is, so
+   * it keeps its position and quantity, and the cart never ends up without it as it could with a
+   * separate remove and add. Resolves with an error message if the change is rejected.
+   */
+  updateProperties(line, properties) {
+    const lineItem = this.getLineItem(line);
+    const quantityInput = lineItem.querySelector('.quantity__input');
+    const quantity = parseInt(lineItem.dataset.displayedQuantity || quantityInput.getAttribute('value'));
+    const title = lineItem.querySelector('.cart-item__name').textContent.trim();
+
+    this.enableLoading(line);
+
+    const body = JSON.stringify({
+      id: lineItem.dataset.lineKey,
+      quantity,
+      properties,
+      sections: this.getSectionsToRender().map((section) => section.section),
+      sections_url: window.location.pathname,
+    });
+
+    return fetch(`${routes.cart_change_url}`, { ...fetchConfig(), ...{ body } })
+      .then((response) => response.json())
+      .then((parsedState) => {
+        if (parsedState.errors || parsedState.status) {
+          return parsedState.description || parsedState.errors || window.cartStrings.error;
+        }
+
+        this.renderSections(parsedState);
+        this.announce(window.cartStrings.propertiesUpdated.replace('[title]', title));
+
+        const toggle = this.getLineItem(line)?.querySelector('.cart-properties-editor__toggle');
+        const cartDrawerWrapper = document.querySelector('cart-drawer');
+        if (toggle) cartDrawerWrapper ? trapFocus(cartDrawerWrapper, toggle) : toggle.focus();
+
+        publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-items', cartData: parsedState });
+        return null;
+      })
+      .catch((e) => {
+        console.error(e);
+        return window.cartStrings.error;
+      })
+      .finally(() => {
+        this.disableLoading(line);
+      });
+  }
+
+  /*
+   * Undo for removed lines. CartRemoveButton hands over what's needed to add the line back before
+   * removing it, and the toast is offered once the cart comes back without the line. Only the latest
+   * removal can be undone.
+   */
+  rememberRemoval(line, removal) {
+    const lineItem = this.getLineItem(line);
+    const quantityInput = lineItem.querySelector('.quantity__input');
+    const quantity = parseInt(lineItem.dataset.displayedQuantity || quantityInput.getAttribute('value'));
+
+    this.removals.set(removal.key, { ...removal, quantity });
+  }
+
+  offerUndo(parsedState) {
+    let removal;
+    this.removals.forEach((pending, key) => {
+      if (parsedState.items.some((item) => item.key === key)) return;
+      removal = pending;
+      this.removals.delete(key);
+    });
+
+    const toast = document.getElementById(
+      this.tagName === 'CART-DRAWER-ITEMS' ? 'CartDrawer-UndoToast' : 'CartUndoToast'
+    );
+    if (!removal || !toast) return;
+
+    toast.show(removal, this.tagName.toLowerCase());
+    this.announce(window.cartStrings.lineRemoved.replace('[title]', removal.title));
+  }
+
+  /*
+   * Adds a removed line back with its quantity, properties and selling plan. The Cart API can't add a
+   * line at a given position, so it only returns to its old place when that's where /cart/add.js puts
+   * new lines; the cart is re-rendered from a follow-up /cart/update.js, which returns the whole cart.
+   */
+  restoreLine({ id, quantity, properties, sellingPlan, title }) {
+    const cartPerformanceUpdateMarker = CartPerformance.createStartingMarker('restore:user-action');
+    const item = { id, quantity, properties };
+    if (sellingPlan) item.selling_plan = sellingPlan;
+
+    const mainCartItems = document.getElementById('main-cart-items') || document.getElementById('CartDrawer-CartItems');
+    mainCartItems.classList.add('cart__items--disabled');
+
+    return fetch(`${routes.cart_add_url}`, { ...fetchConfig(), body: JSON.stringify({ items: [item] }) })
+      .then((response) => response.json())
+      .then((response) => {
+        if (response.status) throw new Error(response.description || response.message);
+
+        const body = JSON.stringify({
+          updates: {},
+          sections: this.getSectionsToRender().map((section) => section.section),
+          sections_url: window.location.pathname,
+        });
+        return fetch(`${routes.cart_update_url}`, { ...fetchConfig(), body })
+          .then((response) => response.json())
+          .then((parsedState) => {
+            this.renderSections(parsedState);
+            this.announce(window.cartStrings.lineRestored.replace('[title]', title));
+
+            const restoredKey = response.items[0].key;
+            const cartItems = this.isConnected ? this : document.querySelector(this.tagName.toLowerCase());
+            const focusTarget = cartItems?.getLineItemByKey(restoredKey)?.querySelector('.cart-item__name');
+            const cartDrawerWrapper = document.querySelector('cart-drawer');
+            if (focusTarget) cartDrawerWrapper ? trapFocus(cartDrawerWrapper, focusTarget) : focusTarget.focus();
+
+            publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-items', cartData: parsedState, variantId: id });
+          });
+      })
+      .catch((error) => {
+        console.error(error);
+        // e.g. the variant sold out in the meantime
+        this.showCartError(error.message || undefined);
+      })
+      .finally(() => {
+        mainCartItems.classList.remove('cart__items--disabled');
+        CartPerformance.measureFromMarker('restore:user-action', cartPerformanceUpdateMarker);
+      });
+  }
+
+  announce(message) {
+    const cartStatus =
+      document.getElementById('cart-live-region-text') || document.getElementById('CartDrawer-LiveRegionText');
+    if (!cartStatus) return;
+
+    cartStatus.textContent = message;
+    cartStatus.setAttribute('aria-hidden', false);
+
+    setTimeout(() => {
+      cartStatus.setAttribute('aria-hidden', true);
+    }, 1000);
+  }
+
+  getLineItem(line) {
+    return this.querySelector(`#CartItem-${line}, #CartDrawer-Item-${line}`);
+  }
+
+  getLineItemByKey(key) {
+    return this.querySelector(`.cart-item[data-line-key="${CSS.escape(key)}"]`);
+  }
+
+  /*
+   * Optimistic updates: the line quantity, line price and cart total are updated locally straight away,
+   * and changes are sent one request at a time, keyed by line item key so removals can't shift them.
+   * Changes made while a request is in flight are coalesced to the latest quantity per line.
+   * Sections are re-rendered from the last server response once the queue is empty, and a rejected
+   * change is rolled back to the server's quantity with an inline error.
+   */
+  queueOptimisticUpdate(line, quantity, eventTarget, name, variantId) {
+    const lineItem = this.getLineItem(line);
+    const key = lineItem.dataset.lineKey;
+
+    if (!this.optimisticBatch) {
+      this.optimisticBatch = {
+        marker: CartPerformance.createStartingMarker(`${eventTarget}:user-action`),
+        eventTarget,
+        pending: new Map(),
+        requested: new Map(),
+        errors: new Map(),
+        state: null,
+        request: null,
+        failed: false,
+        queued: false,
+      };
+    }
+
+    const batch = this.optimisticBatch;
+    batch.pending.set(key, quantity);
+    batch.requested.set(key, quantity);
+    batch.errors.delete(key);
+    batch.focus = { key, name };
+    batch.variantId = variantId;
+
+    this.renderLineQuantity(lineItem, quantity);
+    this.setLineItemError(line, '');
+    this.sendOptimisticUpdate();
+  }
+
+  sendOptimisticUpdate() {
+    const batch = this.optimisticBatch;
+    if (!batch || batch.request) return;
+
+    const [next] = batch.pending;
+    if (!next) return this.finishOptimisticBatch();
+
+    const [key, quantity] = next;
+    batch.pending.delete(key);
+
+    const body = JSON.stringify({
+      id: key,
+      quantity,
+      sections: this.getSectionsToRender().map((section) => section.section),
+      sections_url: window.location.pathname,
+    });
+
+    batch.request = fetch(`${routes.cart_change_url}`, { ...fetchConfig(), ...{ body } })
+      .then((response) => response.json())
+      .then((parsedState) => {
+        if (parsedState.errors || parsedState.status) {
+          this.rollbackLine(key, parsedState.errors || parsedState.description || window.cartStrings.error);
+        } else {
+          batch.state = parsedState;
+        }
+      })
+      .catch((error) => {
+        const failed = new Map([[key, quantity], ...batch.pending]);
+        batch.pending.clear();
+
+        const rollback = () => {
+          batch.failed = true;
+          failed.forEach((failedQuantity, failedKey) => this.rollbackLine(failedKey, window.cartStrings.error));
+        };
+        if (!CartSync.shouldQueue(error)) return rollback();
+
+        // Offline: keep the local quantities and let the queue apply them once the shopper is back online
+        return Promise.all(
+          [...failed].map(([failedKey, failedQuantity]) =>
+            CartSync.queue(routes.cart_change_url, JSON.stringify({ id: failedKey, quantity: failedQuantity }), {
+              type: failedQuantity === 0 ? 'remove' : 'change',
+            })
+          )
+        )
+          .then(() => {
+            batch.queued = true;
+            failed.forEach((failedQuantity, failedKey) => {
+              batch.requested.delete(failedKey);
+              const lineItem = this.getLineItemByKey(failedKey);
+              if (!lineItem) return;
+              const line = lineItem.querySelector('.quantity__input').dataset.index;
+              this.setLineItemError(line, window.cartStrings.queuedOffline);
+            });
+          })
+          .catch(rollback);
+      })
+      .finally(() => {
+        batch.request = null;
+        this.sendOptimisticUpdate();
+      });
+  }
+
+  renderLineQuantity(lineItem, quantity) {
+    const input = lineItem.querySelector('.quantity__input');
+    const previousQuantity = parseInt(lineItem.dataset.displayedQuantity || input.getAttribute('value'));
+    const finalPrice = parseInt(lineItem.dataset.finalPrice);
+    const originalPrice = parseInt(lineItem.dataset.originalPrice);
+
+    lineItem.dataset.displayedQuantity = quantity;
+    lineItem.classList.toggle('hidden', quantity === 0);
+    input.value = quantity;
+
+    lineItem.querySelectorAll('.cart-item__price-wrapper .price--end').forEach((price) => {
+      const unitPrice = price.classList.contains('cart-item__old-price') ? originalPrice : finalPrice;
+      price.textContent = formatMoney(unitPrice * quantity);
+    });
+
+    document.querySelectorAll('[data-cart-total]').forEach((total) => {
+      total.dataset.cartTotal = parseInt(total.dataset.cartTotal) + (quantity - previousQuantity) * finalPrice;
+      total.textContent = formatMoney(total.dataset.cartTotal, { withCurrency: true });
+    });
+  }
+
+  rollbackLine(key, message) {
+    const batch = this.optimisticBatch;
+    // A newer quantity for this line is still queued and supersedes the rejected one
+    if (batch.pending.has(key)) return;
+
+    batch.requested.delete(key);
+    batch.errors.set(key, message);
+
+    const lineItem = this.getLineItemByKey(key);
+    if (!lineItem) return;
+
+    const input = lineItem.querySelector('.quantity__input');
+    const confirmedItem = batch.state && batch.state.items.find((item) => item.key === key);
+    let confirmedQuantity = parseInt(input.getAttribute('value'));
+    if (batch.state) confirmedQuantity = confirmedItem ? confirmedItem.quantity : 0;
+
+    this.renderLineQuantity(lineItem, confirmedQuantity);
+    this.updateLiveRegions(input.dataset.index, message);
+  }
+
+  finishOptimisticBatch() {
+    const batch = this.optimisticBatch;
+    this.optimisticBatch = null;
+
+    // Re-rendering would show the server's quantities in place of the ones queued offline
+    if (batch.state && !batch.queued) {
+      const parsedState = batch.state;
+      const hadFocus = this.contains(document.activeElement) || document.activeElement === document.body;
+
+      batch.requested.forEach((quantity, key) => {
+        const item = parsedState.items.find((item) => item.key === key);
+        if (!item && quantity > 0) {
+          batch.errors.set(key, window.cartStrings.error);
+        } else if (item && item.quantity !== quantity) {
+          batch.errors.set(key, window.cartStrings.quantityError.replace('[quantity]', item.quantity));
+        }
+      });
+
+      CartPerformance.measure(`${batch.eventTarget}:paint-updated-sections`, () => {
+        this.renderSections(parsedState);
+        this.offerUndo(parsedState);
+
+        // The drawer re-renders this element, so look lines up in whichever one is on the page now
+        const cartItems = this.isConnected ? this : document.querySelector(this.tagName.toLowerCase());
+        if (!cartItems) return;
+
+        batch.errors.forEach((message, key) => {
+          const lineItem = cartItems.getLineItemByKey(key);
+          if (lineItem) this.updateLiveRegions(lineItem.querySelector('.quantity__input').dataset.index, message);
+        });
+
+        const lineItem = cartItems.getLineItemByKey(batch.focus.key);
+        const focusTarget = lineItem && lineItem.querySelector(`[name="${batch.focus.name}"]`);
+        const cartDrawerWrapper = document.querySelector('cart-drawer');
+        if (hadFocus && focusTarget) {
+          cartDrawerWrapper ? trapFocus(cartDrawerWrapper, focusTarget) : focusTarget.focus();
+        }
+      });
+
+      publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-items', cartData: parsedState, variantId: batch.variantId });
+    }
+
+    if (batch.failed) this.showCartError();
+
+    CartPerformance.measureFromMarker(`${batch.eventTarget}:user-action`, batch.marker);
+  }
+
+  showCartError(message = window.cartStrings.error) {
+    const errors = document.getElementById('cart-errors') || document.getElementById('CartDrawer-CartErrors');
+    if (errors) errors.textContent = message;
+  }
+
+  setLineItemError(line, message) {
     const lineItemError =
       document.getElementById(`Line-item-error-${line}`) || document.getElementById(`CartDrawer-LineItemError-${line}`);
     if (lineItemError) lineItemError.querySelector('.cart-item__error-text').textContent = message;
+  }
+
+  updateLiveRegions(line, message) {
+    this.setLineItemError(line, message);
 
     this.lineItemStatusElement.setAttribute('aria-hidden', true);
 
@@ -275,6 +892,12 @@ class CartItems extends HTMLElement {
 
 customElements.define('cart-items', CartItems);
 
+// Only whole carts are checked; /cart/add.js responses list just the lines that were added
+subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
+  if (event.source === 'cart-tabs' || event.cartData?.item_count === undefined || !event.cartData.items) return;
+  CartItems.syncSurcharges(event.cartData);
+});
+
 if (!customElements.get('cart-note')) {
   customElements.define(
     'cart-note',
@@ -295,3 +918,170 @@ if (!customElements.get('cart-note')) {
     }
   );
 }
+
+if (!customElements.get('cart-attribute')) {
+  customElements.define(
+    'cart-attribute',
+    class CartAttribute extends HTMLElement {
+      static WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+      static pending = {};
+      static listening = false;
+
+      // Fields saved within the debounce window go out in one request
+      static save = debounce((event) => {
+        const body = JSON.stringify({ attributes: CartAttribute.pending });
+        CartAttribute.pending = {};
+        fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
+          .then(() => CartPerformance.measureFromEvent('attributes-update:user-action', event))
+          .catch((error) => {
+            // Offline, the update waits in the cart queue (cart-sync.js) rather than being lost
+            if (CartSync.shouldQueue(error)) return CartSync.queue(routes.cart_update_url, body, { type: 'update' });
+            throw error;
+          })
+          .catch((error) => console.error(error));
+      }, ON_CHANGE_DEBOUNCE_TIMER);
+
+      // Checkout is a submit button on the #cart form, so incomplete fields are caught before it leaves the page
+      static onSubmit(event) {
+        if (event.target.id !== 'cart' || event.submitter?.name !== 'checkout') return;
+        if (!CartAttribute.validateAll()) event.preventDefault();
+      }
+
+      /**
+       * Shows the errors of all fields, focusing the first invalid one.
+       * @returns {Boolean} Whether checkout can go ahead
+       */
+      static validateAll() {
+        const invalid = [...document.querySelectorAll('cart-attribute')].filter((field) => !field.validate(true));
+        const cartErrors = document.getElementById('cart-errors');
+        if (!invalid.length) {
+          if (cartErrors?.textContent === window.cartStrings.checkoutBlocked) cartErrors.textContent = '';
+          return true;
+        }
+
+        if (cartErrors) cartErrors.textContent = window.cartStrings.checkoutBlocked;
+        invalid[0].input.focus();
+        return false;
+      }
+
+      // Dynamic checkout buttons go straight to the payment provider, so they're hidden until the fields are complete
+      static updateDynamicCheckout() {
+        const complete = [...document.querySelectorAll('cart-attribute')].every((field) => field.validate?.() ?? true);
+        document
+          .querySelectorAll('.cart__dynamic-checkout-buttons')
+          .forEach((buttons) => buttons.classList.toggle('hidden', !complete));
+      }
+
+      constructor() {
+        super();
+
+        this.input = this.querySelector('.cart-attribute__input');
+        this.errorElement = this.querySelector('.cart-attribute__error');
+        if (this.input.type === 'date') this.setDateRange();
+
+        this.input.addEventListener('input', (event) => {
+          this.showError('');
+          if (this.input.type === 'text') this.queueSave(event);
+          CartAttribute.updateDynamicCheckout();
+        });
+        this.input.addEventListener('change', (event) => {
+          this.validate(true);
+          this.queueSave(event);
+          CartAttribute.updateDynamicCheckout();
+        });
+      }
+
+      connectedCallback() {
+        CartAttribute.updateDynamicCheckout();
+        if (CartAttribute.listening) return;
+        CartAttribute.listening = true;
+        document.addEventListener('submit', CartAttribute.onSubmit);
+        // Checkout from the cart drawer or notification sends the shopper here when fields are missing
+        if (window.location.hash === '#cart-errors') {
+          document.addEventListener('DOMContentLoaded', () => CartAttribute.validateAll());
+        }
+      }
+
+      setDateRange() {
+        const { minDays, maxDays, blackoutWeekdays, blackoutDates } = this.input.dataset;
+
+        this.minDate = this.daysFromToday(parseInt(minDays) || 0);
+        this.maxDate = maxDays ? this.daysFromToday(parseInt(maxDays)) : null;
+        this.input.min = this.toISODate(this.minDate);
+        if (this.maxDate) this.input.max = this.toISODate(this.maxDate);
+
+        this.blackoutWeekdays = blackoutWeekdays
+          .split(',')
+          .map((day) => CartAttribute.WEEKDAYS.indexOf(day.trim().slice(0, 3).toLowerCase()))
+          .filter((day) => day !== -1);
+        this.blackoutDates = blackoutDates
+          .split(/[\s,]+/)
+          .map((date) => date.trim())
+          .filter(Boolean);
+      }
+
+      daysFromToday(days) {
+        const date = new Date();
+        date.setHours(0, 0, 0, 0);
+        date.setDate(date.getDate() + days);
+        return date;
+      }
+
+      toISODate(date) {
+        const pad = (value) => `${value}`.padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+      }
+
+      // Date inputs give YYYY-MM-DD, which new Date() would read as UTC midnight
+      parseDate(value) {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+      }
+
+      formatDate(date) {
+        return date.toLocaleDateString(document.documentElement.lang || undefined, { dateStyle: 'medium' });
+      }
+
+      get value() {
+        return this.input.value.trim();
+      }
+
+      getError() {
+        if (!this.value) return this.input.required ? this.dataset.requiredError : '';
+        if (this.input.type !== 'date') return '';
+
+        const date = this.parseDate(this.value);
+        if (isNaN(date) || date < this.minDate || (this.maxDate && date > this.maxDate)) {
+          return this.input.dataset.rangeError
+            .replace('[min]', this.formatDate(this.minDate))
+            .replace('[max]', this.maxDate ? this.formatDate(this.maxDate) : '');
+        }
+        if (this.blackoutWeekdays.includes(date.getDay()) || this.blackoutDates.includes(this.value)) {
+          return this.input.dataset.unavailableError.replace('[date]', this.formatDate(date));
+        }
+        return '';
+      }
+
+      validate(showError = false) {
+        const error = this.getError();
+        if (showError) this.showError(error);
+        return !error;
+      }
+
+      showError(message) {
+        this.errorElement.textContent = message;
+        if (message) {
+          this.input.setAttribute('aria-invalid', 'true');
+        } else {
+          this.input.removeAttribute('aria-invalid');
+        }
+      }
+
+      // An invalid value is cleared on the cart rather than kept, so it can't reach the order
+      queueSave(event) {
+        CartAttribute.pending[this.dataset.name] = this.validate() ? this.value : '';
+        CartAttribute.save(event);
+      }
+    }
+  );
+}
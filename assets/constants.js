@@ -6,4 +6,6 @@ const PUB_SUB_EVENTS = {
   optionValueSelectionChange: 'option-value-selection-change',
   variantChange: 'variant-change',
   cartError: 'cart-error',
+  cartSync: 'cart-sync',
+  savedItemsUpdate: 'saved-items-update',
 };
@@ -307,6 +307,113 @@ function fetchConfig(type = 'json') {
   };
 }
 
+// Adds to cart through routes.cart_add_url. When `cart` (cart-drawer or cart-notification) is given, the
+// response also carries the sections it re-renders. A `status` on the parsed response means the add was
+// rejected (e.g. 422 when there is not enough stock) and `description` says why.
+function cartAdd(formData, cart) {
+  const config = fetchConfig('javascript');
+  config.headers['X-Requested-With'] = 'XMLHttpRequest';
+  delete config.headers['Content-Type'];
+
+  if (cart) {
+    formData.append(
+      'sections',
+      cart.getSectionsToRender().map((section) => section.id)
+    );
+    formData.append('sections_url', window.location.pathname);
+  }
+  config.body = formData;
+
+  return fetch(`${routes.cart_add_url}`, config).then((response) => response.json());
+}
+
+// Submit listener for checkout buttons outside the cart page (cart drawer, cart notification). Required order
+// details (CartAttribute in cart.js) are only filled in on the cart page, so when the form lists them in
+// data-required-attributes (Theme settings > Cart) the checkout waits for the cart to confirm they are saved, and
+// sends the shopper to the cart page to complete them otherwise. Checkout goes ahead if the check fails.
+function checkCartAttributesOnCheckout(event) {
+  const { target: form, submitter } = event;
+  if (submitter?.name !== 'checkout' || !form.dataset.requiredAttributes || form.dataset.attributesChecked) {
+    return;
+  }
+
+  event.preventDefault();
+  submitter.setAttribute('aria-disabled', true);
+
+  // The flag only lets the submit below through, so the next checkout is checked again
+  const checkout = () => {
+    submitter.removeAttribute('aria-disabled');
+    form.dataset.attributesChecked = true;
+    form.requestSubmit(submitter);
+    delete form.dataset.attributesChecked;
+  };
+
+  const required = form.dataset.requiredAttributes
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  fetch(`${routes.cart_url}.js`, { headers: { Accept: 'application/json' } })
+    .then((response) => {
+      if (!response.ok) throw new Error(response.status);
+      return response.json();
+    })
+    .then((cart) => {
+      // Invalid values are never saved, so a saved value is a valid one
+      const missing = required.some((name) => !String(cart.attributes[name] ?? '').trim());
+      if (missing) {
+        window.location.href = `${routes.cart_url}#cart-errors`;
+      } else {
+        checkout();
+      }
+    })
+    .catch((error) => {
+      console.error(error);
+      checkout();
+    });
+}
+
+// Formats an amount in cents for the active presentment currency, using the settings in window.moneySettings.
+// The shop's money_format only describes the shop currency, so other currencies are formatted by the browser.
+// withCurrency matches the `money_with_currency` filter.
+function formatMoney(cents, { trimZeros = false, withCurrency = false } = {}) {
+  const { format, formatWithCurrency, shopCurrency, currency, locale } = window.moneySettings || {};
+  const amount = Number(cents) || 0;
+  const precision = trimZeros && amount % 100 === 0 ? 0 : 2;
+  const template = withCurrency ? formatWithCurrency : format;
+
+  if (!template || (currency && currency !== shopCurrency)) {
+    try {
+      const formatted = new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency: currency || shopCurrency,
+        ...(precision === 0 ? { minimumFractionDigits: 0, maximumFractionDigits: 0 } : {}),
+      }).format(amount / 100);
+      return withCurrency ? `${formatted} ${currency || shopCurrency}` : formatted;
+    } catch (e) {
+      return (amount / 100).toFixed(precision);
+    }
+  }
+
+  const withDelimiters = (decimals, thousands = ',', decimal = '.') => {
+    const [whole, fraction] = (amount / 100).toFixed(decimals).split('.');
+    return whole.replace(/(\d)(?=(\d{3})+(?!\d))/g, `$1${thousands}`) + (fraction ? decimal + fraction : '');
+  };
+
+  const formatters = {
+    amount: () => withDelimiters(precision),
+    amount_no_decimals: () => withDelimiters(0),
+    amount_with_comma_separator: () => withDelimiters(precision, '.', ','),
+    amount_no_decimals_with_comma_separator: () => withDelimiters(0, '.', ','),
+    amount_with_space_separator: () => withDelimiters(precision, ' ', ','),
+    amount_no_decimals_with_space_separator: () => withDelimiters(0, ' ', ','),
+    amount_with_apostrophe_separator: () => withDelimiters(precision, "'", '.'),
+    amount_with_period_and_space_separator: () => withDelimiters(precision, ' ', '.'),
+  };
+
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/, (match, style) => (formatters[style] || formatters.amount)());
+}
+
 /*
  * Shopify Common JS
  *
@@ -1149,12 +1256,19 @@ class ProductRecommendations extends HTMLElement {
     this.observer.observe(this);
   }
 
-  loadRecommendations(productId) {
-    fetch(`${this.dataset.url}&product_id=${productId}&section_id=${this.dataset.sectionId}`)
+  fetchRecommendations(productId, url = this.dataset.url) {
+    return fetch(`${url}&product_id=${productId}&section_id=${this.dataset.sectionId}`)
       .then((response) => response.text())
       .then((text) => {
         const html = document.createElement('div');
         html.innerHTML = text;
+        return html;
+      });
+  }
+
+  loadRecommendations(productId) {
+    this.fetchRecommendations(productId)
+      .then((html) => {
         const recommendations = html.querySelector('product-recommendations');
 
         if (recommendations?.innerHTML.trim().length) {
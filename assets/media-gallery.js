@@ -10,6 +10,8 @@ if (!customElements.get('media-gallery')) {
           thumbnails: this.querySelector('[id^="GalleryThumbnails"]'),
         };
         this.mql = window.matchMedia('(min-width: 750px)');
+        this.initZoom();
+        this.elements.viewer.addEventListener('slideChanged', () => this.resetZoom());
         if (!this.elements.thumbnails) return;
 
         this.elements.viewer.addEventListener('slideChanged', debounce(this.onSlideChanged.bind(this), 500));
@@ -21,6 +23,32 @@ if (!customElements.get('media-gallery')) {
         if (this.dataset.desktopLayout.includes('thumbnail') && this.mql.matches) this.removeListSemantic();
       }
 
+      /*
+       * Slides can always be pinched. With the "hover" image zoom setting, a click zooms in place and
+       * the image follows the pointer, instead of opening the lightbox.
+       */
+      initZoom() {
+        if (typeof MediaZoom === 'undefined' || this.dataset.zoom === 'none') return;
+
+        const hover = this.dataset.zoom === 'hover';
+        this.elements.viewer.querySelectorAll('.product__modal-opener--image').forEach((opener) => {
+          const viewport = opener.querySelector('.product__media');
+          const image = viewport?.querySelector('img');
+          if (!image || image.mediaZoom) return;
+
+          new MediaZoom(viewport, image, {
+            target: opener,
+            mouse: hover ? 'hover' : null,
+            keyboard: hover,
+            scale: hover ? 2 : undefined,
+          });
+        });
+      }
+
+      resetZoom() {
+        this.elements.viewer.querySelectorAll('.media-zoom__image').forEach((image) => image.mediaZoom?.reset());
+      }
+
       onSlideChanged(event) {
         const thumbnail = this.elements.thumbnails.querySelector(
           `[data-target="${event.detail.currentElement.dataset.mediaId}"]`
@@ -38,6 +66,7 @@ if (!customElements.get('media-gallery')) {
         this.elements.viewer.querySelectorAll('[data-media-id]').forEach((element) => {
           element.classList.remove('is-active');
         });
+        this.resetZoom();
         activeMedia?.classList?.add('is-active');
 
         if (prepend) {
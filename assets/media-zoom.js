@@ -0,0 +1,422 @@
+/*
+ * Zoom for product images, shared by MediaGallery slides and the ProductModal lightbox. The image is
+ * scaled and moved with a transform inside its viewport (an element that clips it), and replaced with
+ * a larger image_url width as the zoom grows, up to the width of the original upload.
+ *
+ * Touch: pinch to zoom, drag to pan (with inertia) once zoomed, and double tap when doubleTap is set.
+ * Mouse ('click'): click to zoom in at the pointer or back out, drag to pan. Mouse ('hover'): click to
+ * zoom, the image follows the pointer and zooms out when the pointer leaves, as the "hover" image zoom
+ * setting always did. Wheel zooms at the pointer once zoomed, or with ctrl held (trackpad pinch), so
+ * it doesn't take over page scrolling. With keyboard set, the viewport can be focused and zoomed with
+ * + and -, panned with the arrow keys and reset with 0.
+ */
+if (!window.MediaZoom) {
+  window.MediaZoom = class MediaZoom {
+    static WIDTHS = [1100, 1445, 1680, 2048, 2200, 2890, 4096, 5760];
+    static MAX_SCALE = 4;
+    static STEP = 1.5;
+    static PAN_STEP = 0.1;
+    static DOUBLE_TAP_DELAY = 300;
+    static DOUBLE_TAP_DISTANCE = 30;
+    // A pointer that moves less than this between down and up is a tap or click, not a drag
+    static DRAG_THRESHOLD = 5;
+    static FRICTION = 0.95;
+
+    /**
+     * @param {HTMLElement} viewport Element the image fills at scale 1 and is clipped to
+     * @param {HTMLImageElement} image
+     * @param {Object} options { target, mouse: 'click' | 'hover' | null, doubleTap, keyboard, scale }
+     *   target receives the pointer events (defaults to the viewport), scale is the zoom of a click or
+     *   double tap (defaults to 2.5)
+     */
+    constructor(
+      viewport,
+      image,
+      { target = viewport, mouse = null, doubleTap = false, keyboard = false, scale = 2.5 } = {}
+    ) {
+      this.viewport = viewport;
+      this.image = image;
+      this.target = target;
+      this.options = { mouse, doubleTap, keyboard, scale };
+      this.maxWidth = Number(viewport.dataset.zoomMaxWidth) || 0;
+      this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+      this.scale = 1;
+      this.x = 0;
+      this.y = 0;
+      this.pointers = new Map();
+      this.loadedWidth = 0;
+
+      this.onPointerDown = this.onPointerDown.bind(this);
+      this.onPointerMove = this.onPointerMove.bind(this);
+      this.onPointerUp = this.onPointerUp.bind(this);
+      this.onPointerLeave = this.onPointerLeave.bind(this);
+      this.onWheel = this.onWheel.bind(this);
+      this.onKeyDown = this.onKeyDown.bind(this);
+      this.onClickCapture = this.onClickCapture.bind(this);
+      this.loadSharper = debounce(this.loadSharper.bind(this), 200);
+
+      this.target.addEventListener('pointerdown', this.onPointerDown);
+      this.target.addEventListener('pointermove', this.onPointerMove);
+      this.target.addEventListener('pointerup', this.onPointerUp);
+      this.target.addEventListener('pointercancel', this.onPointerUp);
+      this.target.addEventListener('pointerleave', this.onPointerLeave);
+      this.target.addEventListener('wheel', this.onWheel, { passive: false });
+      this.target.addEventListener('click', this.onClickCapture, true);
+
+      if (keyboard) {
+        this.viewport.tabIndex = 0;
+        this.viewport.setAttribute('role', 'group');
+        this.viewport.setAttribute('aria-label', window.accessibilityStrings?.zoomImage || '');
+        this.viewport.addEventListener('keydown', this.onKeyDown);
+
+        this.status = document.createElement('span');
+        this.status.className = 'visually-hidden';
+        this.status.setAttribute('role', 'status');
+        this.viewport.appendChild(this.status);
+      }
+
+      this.viewport.classList.add('media-zoom');
+      this.image.classList.add('media-zoom__image');
+      this.image.mediaZoom = this;
+      this.render();
+    }
+
+    destroy() {
+      this.stopInertia();
+      this.target.removeEventListener('pointerdown', this.onPointerDown);
+      this.target.removeEventListener('pointermove', this.onPointerMove);
+      this.target.removeEventListener('pointerup', this.onPointerUp);
+      this.target.removeEventListener('pointercancel', this.onPointerUp);
+      this.target.removeEventListener('pointerleave', this.onPointerLeave);
+      this.target.removeEventListener('wheel', this.onWheel);
+      this.target.removeEventListener('click', this.onClickCapture, true);
+      this.viewport.removeEventListener('keydown', this.onKeyDown);
+      this.status?.remove();
+      delete this.image.mediaZoom;
+    }
+
+    get zoomed() {
+      return this.scale > 1;
+    }
+
+    get size() {
+      return { width: this.viewport.clientWidth, height: this.viewport.clientHeight };
+    }
+
+    // Pointer position relative to the viewport
+    point(event) {
+      const rect = this.viewport.getBoundingClientRect();
+      return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    }
+
+    /**
+     * Zooms to scale, keeping the viewport point origin (the pointer, or the centre) where it is.
+     */
+    zoomTo(scale, origin) {
+      const { width, height } = this.size;
+      const { x: originX, y: originY } = origin || { x: width / 2, y: height / 2 };
+      const newScale = Math.min(Math.max(scale, 1), MediaZoom.MAX_SCALE);
+      const ratio = newScale / this.scale;
+
+      this.x = originX - (originX - this.x) * ratio;
+      this.y = originY - (originY - this.y) * ratio;
+      this.scale = newScale;
+      this.render();
+    }
+
+    panBy(deltaX, deltaY) {
+      this.x += deltaX;
+      this.y += deltaY;
+      this.render();
+    }
+
+    reset() {
+      this.stopInertia();
+      this.pointers.clear();
+      this.scale = 1;
+      this.x = 0;
+      this.y = 0;
+      this.render();
+    }
+
+    // Keeps the image covering the viewport
+    clamp() {
+      const { width, height } = this.size;
+      this.x = Math.min(0, Math.max(width - width * this.scale, this.x));
+      this.y = Math.min(0, Math.max(height - height * this.scale, this.y));
+    }
+
+    render() {
+      this.clamp();
+      this.image.style.transform = this.zoomed ? `translate(${this.x}px, ${this.y}px) scale(${this.scale})` : '';
+      this.viewport.classList.toggle('media-zoom--zoomed', this.zoomed);
+      // Touches on an unzoomed image still scroll the page and slider; pinches are ours either way
+      this.target.style.touchAction = this.zoomed ? 'none' : 'pan-x pan-y';
+
+      if (this.zoomed) this.loadSharper();
+    }
+
+    announce() {
+      if (!this.status) return;
+      this.status.textContent = (window.accessibilityStrings?.zoomLevel || '[percent]%').replace(
+        '[percent]',
+        Math.round(this.scale * 100)
+      );
+    }
+
+    /*
+     * Progressive resolution: swaps in the narrowest width that is sharp at the current zoom. The image
+     * srcset is dropped, as it would otherwise keep choosing the width for the unzoomed size.
+     */
+    loadSharper() {
+      if (!this.zoomed) return;
+
+      const needed = this.size.width * this.scale * (window.devicePixelRatio || 1);
+      if (!this.loadedWidth) this.loadedWidth = this.image.naturalWidth || this.size.width;
+      if (needed <= this.loadedWidth) return;
+
+      let width = MediaZoom.WIDTHS.find((candidate) => candidate >= needed) || MediaZoom.WIDTHS.at(-1);
+      if (this.maxWidth) width = Math.min(width, this.maxWidth);
+      if (width <= this.loadedWidth || width === this.loadingWidth) return;
+
+      const url = new URL(this.image.currentSrc || this.image.src, window.location.href);
+      url.searchParams.set('width', width);
+
+      this.loadingWidth = width;
+      const sharper = new Image();
+      sharper.addEventListener('load', () => {
+        if (this.loadingWidth !== width) return;
+        this.loadingWidth = null;
+        this.loadedWidth = width;
+        this.image.removeAttribute('srcset');
+        this.image.removeAttribute('sizes');
+        this.image.src = sharper.src;
+      });
+      sharper.addEventListener('error', () => {
+        if (this.loadingWidth === width) this.loadingWidth = null;
+      });
+      sharper.src = url.href;
+    }
+
+    onPointerDown(event) {
+      if (event.pointerType === 'mouse' && (!this.options.mouse || event.button !== 0)) return;
+      if (event.pointerType === 'mouse' && this.options.mouse === 'click') event.preventDefault();
+
+      this.stopInertia();
+      this.suppressClick = false;
+      const point = this.point(event);
+      this.pointers.set(event.pointerId, point);
+
+      if (this.pointers.size === 1) {
+        this.gesture = { start: point, moved: false, pinched: false };
+        this.velocity = { x: 0, y: 0, time: event.timeStamp };
+        if (this.zoomed && event.pointerType === 'mouse' && this.options.mouse === 'click') {
+          this.target.setPointerCapture?.(event.pointerId);
+        }
+      } else if (this.pointers.size === 2) {
+        this.gesture.pinched = true;
+        this.gesture.moved = true;
+      }
+    }
+
+    onPointerMove(event) {
+      if (event.pointerType === 'mouse' && this.options.mouse === 'hover' && this.zoomed) {
+        this.follow(this.point(event));
+        return;
+      }
+
+      const previous = this.pointers.get(event.pointerId);
+      if (!previous) return;
+
+      const point = this.point(event);
+      if (
+        !this.gesture.moved &&
+        Math.hypot(point.x - this.gesture.start.x, point.y - this.gesture.start.y) > MediaZoom.DRAG_THRESHOLD
+      ) {
+        this.gesture.moved = true;
+      }
+
+      if (this.pointers.size >= 2) {
+        const [first, second] = this.pointers.keys();
+        const other = this.pointers.get(event.pointerId === first ? second : first);
+        const before = this.pinch(previous, other);
+        const after = this.pinch(point, other);
+        this.pointers.set(event.pointerId, point);
+
+        this.zoomTo(this.scale * (after.distance / (before.distance || 1)), after.center);
+        this.panBy(after.center.x - before.center.x, after.center.y - before.center.y);
+        return;
+      }
+
+      this.pointers.set(event.pointerId, point);
+      if (!this.zoomed || !this.gesture.moved) return;
+
+      const deltaX = point.x - previous.x;
+      const deltaY = point.y - previous.y;
+      this.panBy(deltaX, deltaY);
+
+      // Smoothed so the last, often tiny, move before release doesn't decide the throw
+      const elapsed = Math.max(event.timeStamp - this.velocity.time, 1);
+      this.velocity = {
+        x: 0.8 * (deltaX / elapsed) + 0.2 * this.velocity.x,
+        y: 0.8 * (deltaY / elapsed) + 0.2 * this.velocity.y,
+        time: event.timeStamp,
+      };
+    }
+
+    onPointerUp(event) {
+      if (!this.pointers.has(event.pointerId)) return;
+      this.pointers.delete(event.pointerId);
+
+      const point = this.point(event);
+      const { moved, pinched } = this.gesture;
+      if (this.pointers.size) {
+        // One finger lifted from a pinch; the other carries on panning from where it is
+        const [remaining] = this.pointers.values();
+        this.gesture.start = remaining;
+        return;
+      }
+
+      if (event.type === 'pointercancel') return;
+
+      // A media modal closes on mouse clicks; clicks on the image zoom instead
+      if (event.pointerType === 'mouse') event.stopPropagation();
+      this.suppressClick = moved || event.pointerType === 'mouse';
+
+      if (pinched) {
+        if (this.scale < 1.05) this.reset();
+        return;
+      }
+
+      if (moved) {
+        if (this.zoomed && event.timeStamp - this.velocity.time < 100) this.startInertia();
+        return;
+      }
+
+      if (event.pointerType === 'mouse') {
+        this.toggleZoom(point);
+        if (this.options.mouse === 'hover' && this.zoomed) this.follow(point);
+      } else if (this.options.doubleTap) {
+        this.onTap(event, point);
+      }
+    }
+
+    onPointerLeave(event) {
+      if (event.pointerType === 'mouse' && this.options.mouse === 'hover') this.reset();
+    }
+
+    onTap(event, point) {
+      const lastTap = this.lastTap;
+      this.lastTap = { time: event.timeStamp, point };
+      if (
+        !lastTap ||
+        event.timeStamp - lastTap.time > MediaZoom.DOUBLE_TAP_DELAY ||
+        Math.hypot(point.x - lastTap.point.x, point.y - lastTap.point.y) > MediaZoom.DOUBLE_TAP_DISTANCE
+      )
+        return;
+
+      this.lastTap = null;
+      this.toggleZoom(point);
+    }
+
+    // Clicks that ended a drag or pinch, or zoomed, shouldn't also open the lightbox
+    onClickCapture(event) {
+      if (!this.suppressClick) return;
+      this.suppressClick = false;
+      event.preventDefault();
+      event.stopPropagation();
+    }
+
+    onWheel(event) {
+      if (!event.ctrlKey && !this.zoomed) return;
+      event.preventDefault();
+      this.stopInertia();
+
+      // Trackpad pinches arrive as ctrl + wheel with small deltas
+      const factor = Math.exp(-event.deltaY * (event.ctrlKey ? 0.01 : 0.002));
+      this.zoomTo(this.scale * factor, this.point(event));
+    }
+
+    onKeyDown(event) {
+      const { width, height } = this.size;
+      const pan = {
+        ArrowLeft: [width * MediaZoom.PAN_STEP, 0],
+        ArrowRight: [-width * MediaZoom.PAN_STEP, 0],
+        ArrowUp: [0, height * MediaZoom.PAN_STEP],
+        ArrowDown: [0, -height * MediaZoom.PAN_STEP],
+      }[event.key];
+
+      if (event.key === '+' || event.key === '=') {
+        this.zoomTo(this.scale * MediaZoom.STEP);
+      } else if (event.key === '-' || event.key === '_') {
+        this.zoomTo(this.scale / MediaZoom.STEP);
+      } else if (event.key === '0' && this.zoomed) {
+        this.reset();
+      } else if (pan && this.zoomed) {
+        // Unzoomed, the arrow keys still move the slider and scroll
+        this.panBy(...pan);
+      } else {
+        return;
+      }
+
+      event.preventDefault();
+      event.stopPropagation();
+      this.announce();
+    }
+
+    toggleZoom(point) {
+      if (this.zoomed) {
+        this.reset();
+      } else {
+        this.zoomTo(this.options.scale, point);
+      }
+    }
+
+    // Hover zoom: the pointer's position over the viewport picks the same position over the image
+    follow(point) {
+      const { width, height } = this.size;
+      this.x = -(width * this.scale - width) * Math.min(Math.max(point.x / width, 0), 1);
+      this.y = -(height * this.scale - height) * Math.min(Math.max(point.y / height, 0), 1);
+      this.render();
+    }
+
+    startInertia() {
+      if (this.reducedMotion.matches) return;
+
+      let { x: velocityX, y: velocityY } = this.velocity;
+      let lastTime = performance.now();
+
+      const step = (time) => {
+        const elapsed = time - lastTime;
+        lastTime = time;
+
+        const before = { x: this.x, y: this.y };
+        this.panBy(velocityX * elapsed, velocityY * elapsed);
+        // Stop along an edge rather than pushing against it
+        if (this.x === before.x) velocityX = 0;
+        if (this.y === before.y) velocityY = 0;
+
+        const friction = Math.pow(MediaZoom.FRICTION, elapsed / 16);
+        velocityX *= friction;
+        velocityY *= friction;
+
+        this.inertiaFrame = Math.abs(velocityX) + Math.abs(velocityY) > 0.02 ? requestAnimationFrame(step) : null;
+      };
+
+      this.inertiaFrame = requestAnimationFrame(step);
+    }
+
+    stopInertia() {
+      if (this.inertiaFrame) cancelAnimationFrame(this.inertiaFrame);
+      this.inertiaFrame = null;
+    }
+
+    pinch(a, b) {
+      return {
+        distance: Math.hypot(a.x - b.x, a.y - b.y),
+        center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+      };
+    }
+  };
+}
@@ -0,0 +1,186 @@
+/*
+ * Real user monitoring for the timings the theme measures itself: CartPerformance's
+ * cart-performance:* measures (global.js) and the shop page's shop-performance:* filter and render
+ * timings (shop-page.js). Measures are collected with a PerformanceObserver, batched and sent with
+ * navigator.sendBeacon to the endpoint set under Theme settings > Performance monitoring, along with
+ * the device class so latency can be compared across phones, tablets and desktops.
+ *
+ * Sessions are sampled once, so a visitor's measures are either all sent or not at all. The debug
+ * overlay lists the measures taken on the page; open it with ?perf_debug=1 (?perf_debug=0 closes it).
+ */
+class PerformanceTelemetry {
+  static PREFIXES = ['cart-performance:', 'shop-performance:'];
+  static SAMPLE_KEY = 'hydrox-rum-sampled';
+  static DEBUG_KEY = 'hydrox-rum-debug';
+  static BATCH_SIZE = 20;
+  static FLUSH_DELAY = 10000;
+
+  static queue = [];
+  static flushTimer = null;
+
+  static init() {
+    const settings = window.telemetrySettings || {};
+    if (!('PerformanceObserver' in window) || !PerformanceObserver.supportedEntryTypes?.includes('measure')) return;
+
+    this.endpoint = settings.endpoint;
+    this.template = settings.template;
+    this.sampled = !!this.endpoint && this.isSampled(settings.sampleRate);
+    if (this.isDebugEnabled(settings.debug)) this.overlay = new PerformanceOverlay(settings.stylesheet);
+    if (!this.sampled && !this.overlay) return;
+
+    new PerformanceObserver((list) => this.collect(list.getEntries())).observe({ type: 'measure', buffered: true });
+
+    // Unload events aren't reliable on mobile; hidden is the last moment a page is sure to see
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.flush();
+    });
+    window.addEventListener('pagehide', () => this.flush());
+  }
+
+  static isSampled(sampleRate = 0) {
+    try {
+      let sampled = sessionStorage.getItem(this.SAMPLE_KEY);
+      if (sampled === null) {
+        sampled = Math.random() * 100 < sampleRate ? '1' : '0';
+        sessionStorage.setItem(this.SAMPLE_KEY, sampled);
+      }
+      return sampled === '1';
+    } catch (e) {
+      return Math.random() * 100 < sampleRate;
+    }
+  }
+
+  static isDebugEnabled(forced) {
+    const param = new URLSearchParams(window.location.search).get('perf_debug');
+    try {
+      if (param === '1') localStorage.setItem(this.DEBUG_KEY, '1');
+      if (param === '0') localStorage.removeItem(this.DEBUG_KEY);
+      return !!forced || localStorage.getItem(this.DEBUG_KEY) === '1';
+    } catch (e) {
+      return !!forced || param === '1';
+    }
+  }
+
+  static collect(entries) {
+    const measures = entries
+      .filter((entry) => this.PREFIXES.some((prefix) => entry.name.startsWith(prefix)))
+      .map((entry) => ({
+        name: entry.name,
+        duration: Math.round(entry.duration * 10) / 10,
+        startTime: Math.round(entry.startTime),
+      }));
+    if (!measures.length) return;
+
+    if (this.overlay) this.overlay.add(measures);
+    if (!this.sampled) return;
+
+    this.queue.push(...measures);
+    if (this.queue.length >= this.BATCH_SIZE) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.FLUSH_DELAY);
+    }
+  }
+
+  static flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (!this.queue.length) return;
+
+    const body = JSON.stringify({ ...this.context(), measures: this.queue.splice(0) });
+    const blob = new Blob([body], { type: 'application/json' });
+    if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, blob)) return;
+
+    // The beacon queue is full or unavailable
+    fetch(this.endpoint, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'application/json' } }).catch(
+      () => {}
+    );
+  }
+
+  static context() {
+    return {
+      template: this.template,
+      path: window.location.pathname,
+      device: this.deviceClass(),
+      tier: this.deviceTier(),
+      connection: navigator.connection?.effectiveType || null,
+      sentAt: Date.now(),
+    };
+  }
+
+  static deviceClass() {
+    if (window.matchMedia('(max-width: 749px)').matches) return 'mobile';
+    if (window.matchMedia('(max-width: 989px), (pointer: coarse)').matches) return 'tablet';
+    return 'desktop';
+  }
+
+  // Rough hardware tier from what the browser exposes; 'unknown' where it exposes nothing (Safari, Firefox)
+  static deviceTier() {
+    const memory = navigator.deviceMemory;
+    const cores = navigator.hardwareConcurrency;
+    if (!memory && !cores) return 'unknown';
+    if ((memory && memory <= 2) || (cores && cores <= 2)) return 'low';
+    if ((memory && memory <= 4) || (cores && cores <= 4)) return 'mid';
+    return 'high';
+  }
+}
+
+class PerformanceOverlay {
+  static MAX_ROWS = 12;
+
+  constructor(stylesheet) {
+    this.stats = new Map();
+
+    // Only loaded on the rare pages that show the overlay
+    if (stylesheet) {
+      const link = document.createElement('link');
+      link.rel = 'stylesheet';
+      link.href = stylesheet;
+      document.head.appendChild(link);
+    }
+
+    this.element = document.createElement('div');
+    this.element.className = 'performance-overlay';
+    this.element.setAttribute('role', 'log');
+    this.element.innerHTML = `
+      <button type="button" class="performance-overlay__toggle" aria-expanded="true">RUM</button>
+      <table class="performance-overlay__table">
+        <thead><tr><th>Measure</th><th>n</th><th>Last</th><th>Median</th><th>Max</th></tr></thead>
+        <tbody></tbody>
+      </table>`;
+    this.body = this.element.querySelector('tbody');
+
+    const toggle = this.element.querySelector('.performance-overlay__toggle');
+    toggle.addEventListener('click', () => {
+      const expanded = this.element.classList.toggle('performance-overlay--collapsed');
+      toggle.setAttribute('aria-expanded', !expanded);
+    });
+
+    document.body.appendChild(this.element);
+  }
+
+  add(measures) {
+    measures.forEach(({ name, duration }) => {
+      const durations = this.stats.get(name) || [];
+      durations.push(duration);
+      this.stats.delete(name);
+      this.stats.set(name, durations);
+    });
+    this.render();
+  }
+
+  render() {
+    const rows = [...this.stats].reverse().slice(0, PerformanceOverlay.MAX_ROWS);
+    this.body.innerHTML = rows
+      .map(([name, durations]) => {
+        const sorted = [...durations].sort((a, b) => a - b);
+        const median = sorted[Math.floor((sorted.length - 1) / 2)];
+        return `<tr><td>${name.slice(name.indexOf(':') + 1)}</td><td>${durations.length}</td><td>${
+          durations[durations.length - 1]
+        }</td><td>${median}</td><td>${sorted[sorted.length - 1]}</td></tr>`;
+      })
+      .join('');
+  }
+}
+
+PerformanceTelemetry.init();
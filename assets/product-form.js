@@ -20,6 +20,7 @@ if (!customElements.get('product-form')) {
       onSubmitHandler(evt) {
         evt.preventDefault();
         if (this.submitButton.getAttribute('aria-disabled') === 'true') return;
+        if (this.personalisation && !this.personalisation.validate()) return;
 
         this.handleErrorMessage();
 
@@ -27,28 +28,20 @@ if (!customElements.get('product-form')) {
         this.submitButton.classList.add('loading');
         this.querySelector('.loading__spinner').classList.remove('hidden');
 
-        const config = fetchConfig('javascript');
-        config.headers['X-Requested-With'] = 'XMLHttpRequest';
-        delete config.headers['Content-Type'];
-
-        const formData = new FormData(this.form);
-        if (this.cart) {
-          formData.append(
-            'sections',
-            this.cart.getSectionsToRender().map((section) => section.id)
-          );
-          formData.append('sections_url', window.location.pathname);
-          this.cart.setActiveElement(document.activeElement);
-        }
-        config.body = formData;
+        const productVariantId = this.variantIdInput.value;
+        let formData = new FormData(this.form);
+        if (this.personalisation) formData = this.personalisation.addSurcharge(formData);
+        if (this.cart) this.cart.setActiveElement(document.activeElement);
 
-        fetch(`${routes.cart_add_url}`, config)
-          .then((response) => response.json())
+        cartAdd(formData, this.cart)
           .then((response) => {
+            // A personalisation surcharge is added with the product; the cart shows the product
+            if (response.items) response = { ...response.items[0], sections: response.sections };
+
             if (response.status) {
               publish(PUB_SUB_EVENTS.cartError, {
                 source: 'product-form',
-                productVariantId: formData.get('id'),
+                productVariantId,
                 errors: response.errors || response.description,
                 message: response.message,
               });
@@ -70,7 +63,7 @@ if (!customElements.get('product-form')) {
             if (!this.error)
               publish(PUB_SUB_EVENTS.cartUpdate, {
                 source: 'product-form',
-                productVariantId: formData.get('id'),
+                productVariantId,
                 cartData: response,
               }).then(() => {
                 CartPerformance.measureFromMarker('add:wait-for-subscribers', startMarker);
@@ -97,6 +90,12 @@ if (!customElements.get('product-form')) {
             }
           })
           .catch((e) => {
+            if (CartSync.shouldQueue(e)) {
+              CartSync.queue(routes.cart_add_url, formData, { type: 'add', variantId: productVariantId })
+                .then(() => this.handleErrorMessage(window.cartStrings.queuedOffline))
+                .catch(() => this.handleErrorMessage(window.cartStrings.error));
+              return;
+            }
             console.error(e);
           })
           .finally(() => {
@@ -137,6 +136,10 @@ if (!customElements.get('product-form')) {
       get variantIdInput() {
         return this.form.querySelector('[name=id]');
       }
+
+      get personalisation() {
+        return document.querySelector(`product-personalisation[data-product-form="${this.form.id}"]`);
+      }
     }
   );
 }
@@ -8,6 +8,8 @@ if (!customElements.get('product-info')) {
       cartUpdateUnsubscriber = undefined;
       abortController = undefined;
       pendingRequestUrl = null;
+      variants = null;
+      prefetchedResponses = new Map();
       preProcessHtmlCallbacks = [];
       postProcessHtmlCallbacks = [];
 
@@ -19,6 +21,10 @@ if (!customElements.get('product-info')) {
 
       connectedCallback() {
         this.initializeProductSwapUtility();
+        this.initializeProductSwapPrefetch();
+
+        const variantData = this.querySelector('variant-selects [data-variants]');
+        this.variants = variantData ? JSON.parse(variantData.textContent) : null;
 
         this.onVariantChangeUnsubscriber = subscribe(
           PUB_SUB_EVENTS.optionValueSelectionChange,
@@ -41,7 +47,10 @@ if (!customElements.get('product-info')) {
 
         this.setQuantityBoundries();
         if (!this.dataset.originalSection) {
-          this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, this.fetchQuantityRules.bind(this));
+          this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
+            this.updateCartQuantities(event.cartData);
+            this.fetchQuantityRules();
+          });
         }
       }
 
@@ -60,16 +69,54 @@ if (!customElements.get('product-info')) {
         });
       }
 
+      // Prefetches the render of a combined listing's other product while the shopper hovers or tabs to its value
+      initializeProductSwapPrefetch() {
+        const prefetch = ({ target }) => {
+          const input = target.closest('label') ? target.closest('label').control : target;
+          const productUrl = input?.dataset?.productUrl;
+          if (!productUrl || productUrl === this.dataset.url) return;
+
+          const selectedOptionValues = Array.from(
+            this.variantSelectors.querySelectorAll('select option[selected], fieldset input:checked')
+          ).map((selected) =>
+            selected.closest('fieldset') && selected.closest('fieldset') === input.closest('fieldset')
+              ? input.dataset.optionValueId
+              : selected.dataset.optionValueId
+          );
+          const requestUrl = this.buildRequestUrlWithParams(
+            productUrl,
+            selectedOptionValues,
+            this.dataset.updateUrl === 'true'
+          );
+          if (this.prefetchedResponses.has(requestUrl)) return;
+
+          const response = fetch(requestUrl).then((response) => response.text());
+          response.catch(() => this.prefetchedResponses.delete(requestUrl));
+          this.prefetchedResponses.set(requestUrl, response);
+        };
+
+        this.variantSelectors?.addEventListener('mouseover', prefetch);
+        this.variantSelectors?.addEventListener('focusin', prefetch);
+      }
+
       handleOptionValueChange({ data: { event, target, selectedOptionValues } }) {
         if (!this.contains(event.target)) return;
 
         this.resetProductFormState();
 
         const productUrl = target.dataset.productUrl || this.pendingRequestUrl || this.dataset.url;
-        this.pendingRequestUrl = productUrl;
         const shouldSwapProduct = this.dataset.url !== productUrl;
         const shouldFetchFullPage = this.dataset.updateUrl === 'true' && shouldSwapProduct;
 
+        if (!shouldSwapProduct && this.variants) {
+          this.pendingRequestUrl = null;
+          this.abortController?.abort();
+          this.updateVariant(selectedOptionValues, target.id);
+          return;
+        }
+
+        this.pendingRequestUrl = productUrl;
+
         this.renderProductInfo({
           requestUrl: this.buildRequestUrlWithParams(productUrl, selectedOptionValues, shouldFetchFullPage),
           targetId: target.id,
@@ -116,10 +163,15 @@ if (!customElements.get('product-info')) {
       renderProductInfo({ requestUrl, targetId, callback }) {
         this.abortController?.abort();
         this.abortController = new AbortController();
+        const { signal } = this.abortController;
 
-        fetch(requestUrl, { signal: this.abortController.signal })
-          .then((response) => response.text())
+        const prefetchedResponse = this.prefetchedResponses.get(requestUrl);
+        this.prefetchedResponses.delete(requestUrl);
+
+        (prefetchedResponse || fetch(requestUrl, { signal }).then((response) => response.text()))
           .then((responseText) => {
+            // A prefetched response can't be aborted, so a newer selection is checked for here
+            if (signal.aborted) throw new DOMException('Aborted', 'AbortError');
             this.pendingRequestUrl = null;
             const html = new DOMParser().parseFromString(responseText, 'text/html');
             callback(html);
@@ -211,6 +263,195 @@ if (!customElements.get('product-info')) {
         };
       }
 
+      /*
+       * Resolves an option change from the variant data rendered with the variant picker and updates
+       * the page in place. Only media the gallery doesn't have (when other variants' media is hidden)
+       * still needs the section, and is fetched on its own.
+       */
+      updateVariant(selectedOptionValues, targetId) {
+        const selectedOptions = Array.from(
+          this.variantSelectors.querySelectorAll('select option[selected], fieldset input:checked')
+        ).map(({ value }) => value);
+        const variant = this.findVariant(selectedOptions);
+
+        this.updateOptionAvailability(selectedOptions);
+        this.pickupAvailability?.update(variant);
+        this.updateURL(this.dataset.url, variant?.id);
+        this.updateVariantInputs(variant?.id);
+
+        if (!variant) {
+          this.setUnavailable();
+          return;
+        }
+
+        this.updatePrice(variant);
+        this.updateSku(variant);
+        this.updateInventory(variant);
+        this.updateQuantityForm(variant);
+        this.productForm?.toggleSubmitButton(!variant.available, window.variantStrings.soldOut);
+
+        const mediaId = variant.featured_media?.id;
+        if (mediaId && !this.querySelector(`media-gallery [data-media-id="${this.dataset.section}-${mediaId}"]`)) {
+          this.renderProductInfo({
+            requestUrl: this.buildRequestUrlWithParams(this.dataset.url, selectedOptionValues),
+            targetId,
+            callback: (html) => this.updateMedia(html, mediaId),
+          });
+        } else if (mediaId) {
+          this.querySelector('media-gallery')?.setActiveMedia?.(`${this.dataset.section}-${mediaId}`, true);
+        }
+
+        publish(PUB_SUB_EVENTS.variantChange, {
+          data: {
+            sectionId: this.sectionId,
+            html: null,
+            variant,
+          },
+        });
+      }
+
+      findVariant(selectedOptions) {
+        return (
+          this.variants.find(({ options }) => options.every((value, index) => value === selectedOptions[index])) ||
+          null
+        );
+      }
+
+      // Marks values that make no available variant with the other selected options, as the section render does
+      updateOptionAvailability(selectedOptions) {
+        this.variantSelectors.querySelectorAll('fieldset, select').forEach((group, position) => {
+          const inputs = group.tagName === 'SELECT' ? Array.from(group.options) : group.querySelectorAll('input');
+          inputs.forEach((input) => {
+            const options = [...selectedOptions];
+            options[position] = input.value;
+            const available = !!this.findVariant(options)?.available;
+
+            if (input.tagName === 'OPTION') {
+              input.textContent = available
+                ? input.value
+                : window.variantStrings.unavailable_with_option.replace('[value]', input.value);
+            } else {
+              input.classList.toggle(
+                input.classList.contains('swatch-input__input') ? 'visually-disabled' : 'disabled',
+                !available
+              );
+            }
+          });
+        });
+      }
+
+      updatePrice(variant) {
+        const priceWrapper = this.querySelector(`#price-${this.dataset.section}`);
+        const price = priceWrapper?.querySelector('.price');
+        if (!price) return;
+
+        priceWrapper.classList.remove('hidden');
+        price.classList.toggle('price--sold-out', !variant.available);
+        price.classList.toggle('price--on-sale', variant.compare_at_price > variant.price);
+        price
+          .querySelectorAll('.price__regular .price-item--regular, .price-item--sale')
+          .forEach((item) => (item.innerHTML = variant.formatted_price));
+        price
+          .querySelectorAll('.price__sale .price-item--regular')
+          .forEach((item) => (item.innerHTML = variant.formatted_compare_at_price || ''));
+
+        const unitPrice = price.querySelector('.unit-price');
+        if (unitPrice) {
+          unitPrice.querySelector('.price-item').innerHTML = variant.unit_price || '';
+          unitPrice.classList.toggle('hidden', !variant.unit_price);
+        }
+      }
+
+      updateSku(variant) {
+        const sku = this.querySelector(`#Sku-${this.dataset.section}`);
+        if (!sku) return;
+
+        const label = sku.querySelector('.visually-hidden');
+        sku.replaceChildren(...(label ? [label] : []), variant.sku || '');
+        sku.classList.remove('hidden');
+        sku.classList.toggle('visibility-hidden', !variant.sku);
+      }
+
+      updateInventory(variant) {
+        const inventory = this.querySelector(`#Inventory-${this.dataset.section}`);
+        if (!inventory || !variant.inventory_state) return;
+
+        const { lowStock, inStock, continueSelling, outOfStock, icon } = inventory.dataset;
+        // The variant data only has a quantity when the block shows it, and then the messages have [quantity]
+        const quantity = variant.inventory_quantity ?? '';
+        const { color, message } = {
+          in: { color: 'rgb(62, 214, 96)', message: inStock.replace('[quantity]', quantity) },
+          low: { color: 'rgb(238, 148, 65)', message: lowStock.replace('[quantity]', quantity) },
+          continue: { color: 'rgb(62, 214, 96)', message: continueSelling },
+          out: { color: 'rgb(200, 200, 200)', message: outOfStock },
+        }[variant.inventory_state];
+
+        inventory.classList.remove('hidden');
+        inventory.classList.toggle('visibility-hidden', variant.inventory_management !== 'shopify');
+        inventory.innerHTML =
+          variant.inventory_management === 'shopify'
+            ? `<span class="svg-wrapper" style="color: ${color}">${icon}</span>${message}`
+            : '';
+      }
+
+      updateQuantityForm(variant) {
+        const rules = this.querySelector(`#Quantity-Rules-${this.dataset.section}`);
+        const { min, max, increment } = variant.quantity_rule;
+
+        if (rules) {
+          const { multiplesOf, minimumOf, maximumOf } = rules.dataset;
+          rules.innerHTML = [
+            increment > 1 && multiplesOf.replace('[quantity]', increment),
+            min > 1 && minimumOf.replace('[quantity]', min),
+            max !== null && maximumOf.replace('[quantity]', max),
+          ]
+            .filter(Boolean)
+            .map((rule) => `<span class="divider">${rule}</span>`)
+            .join('');
+          rules.classList.remove('hidden');
+        }
+
+        if (!this.quantityInput || !this.quantityForm) return;
+
+        this.quantityInput.dataset.cartQuantity = variant.cart_quantity;
+        this.quantityInput.dataset.min = min;
+        this.quantityInput.step = increment;
+        if (max !== null) {
+          this.quantityInput.dataset.max = max;
+        } else {
+          delete this.quantityInput.dataset.max;
+        }
+        this.setQuantityBoundries();
+
+        const { label, inCartLabel, inCart } = this.quantityForm.dataset;
+        const cartQuantity = this.quantityForm.querySelector('.quantity__rules-cart');
+        cartQuantity?.classList.toggle('hidden', variant.cart_quantity === 0);
+        const cartQuantityText = cartQuantity?.querySelector(':scope > span:last-child');
+        if (cartQuantityText) cartQuantityText.innerHTML = `(${inCart.replace('[quantity]', variant.cart_quantity)})`;
+
+        const hiddenLabel = document.getElementById(`quantity-label-${this.dataset.section}`);
+        if (hiddenLabel) {
+          hiddenLabel.textContent =
+            variant.cart_quantity > 0 ? inCartLabel.replace('[quantity]', variant.cart_quantity) : label;
+        }
+      }
+
+      // Keeps the in-cart counts in the variant data current; the rendered quantity rules are refreshed separately
+      updateCartQuantities(cartData) {
+        if (!this.variants || !cartData) return;
+
+        if (cartData.items) {
+          this.variants.forEach((variant) => {
+            variant.cart_quantity = cartData.items
+              .filter((item) => item.variant_id === variant.id)
+              .reduce((total, item) => total + item.quantity, 0);
+          });
+        } else if (cartData.variant_id) {
+          const variant = this.variants.find(({ id }) => id === cartData.variant_id);
+          if (variant) variant.cart_quantity = Math.max(variant.cart_quantity, cartData.quantity);
+        }
+      }
+
       updateVariantInputs(variantId) {
         this.querySelectorAll(
           `#product-form-${this.dataset.section}, #product-form-installment-${this.dataset.section}`
@@ -246,7 +487,6 @@ if (!customElements.get('product-info')) {
         const mediaGalleryDestination = html.querySelector(`media-gallery ul`);
 
         const refreshSourceData = () => {
-          if (this.hasAttribute('data-zoom-on-hover')) enableZoomOnHover(2);
           const mediaGallerySourceItems = Array.from(mediaGallerySource.querySelectorAll('li[data-media-id]'));
           const sourceSet = new Set(mediaGallerySourceItems.map((item) => item.dataset.mediaId));
           const sourceMap = new Map(
@@ -298,6 +538,9 @@ if (!customElements.get('product-info')) {
           });
         }
 
+        // zoom in the slides added for the new variant
+        this.querySelector(`media-gallery`)?.initZoom?.();
+
         // set featured media as active in the media gallery
         this.querySelector(`media-gallery`)?.setActiveMedia?.(
           `${this.dataset.section}-${variantFeaturedMediaId}`,
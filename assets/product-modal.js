@@ -8,13 +8,26 @@ if (!customElements.get('product-modal')) {
 
       hide() {
         super.hide();
+        this.querySelectorAll('.product-media-modal__image img').forEach((image) => image.mediaZoom?.reset());
       }
 
       show(opener) {
         super.show(opener);
+        this.initZoom();
         this.showActiveMedia();
       }
 
+      // The content is replaced when the variant changes, so images are set up each time the modal opens
+      initZoom() {
+        if (typeof MediaZoom === 'undefined') return;
+
+        this.querySelectorAll('.product-media-modal__image').forEach((viewport) => {
+          const image = viewport.querySelector('img');
+          if (image.mediaZoom) return;
+          new MediaZoom(viewport, image, { mouse: 'click', doubleTap: true, keyboard: true });
+        });
+      }
+
       showActiveMedia() {
         this.querySelectorAll(
           `[data-media-id]:not([data-media-id="${this.openedBy.getAttribute('data-media-id')}"])`
@@ -27,9 +40,6 @@ if (!customElements.get('product-modal')) {
         activeMedia.classList.add('active');
         activeMedia.scrollIntoView();
 
-        const container = this.querySelector('[role="document"]');
-        container.scrollLeft = (activeMedia.width - container.clientWidth) / 2;
-
         if (
           activeMedia.nodeName == 'DEFERRED-MEDIA' &&
           activeMediaContent &&
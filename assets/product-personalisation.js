@@ -0,0 +1,275 @@
+/*
+ * Logo and embroidery personalisation for product pages (snippets/product-personalisation.liquid). The
+ * inputs belong to the product form through their form attribute and are disabled while their kind of
+ * personalisation isn't chosen, so only the chosen properties are added to the cart. ProductForm calls
+ * validate() before adding and addSurcharge() to add the surcharge product in the same request.
+ *
+ * The preview draws the logo or text over the product image at the chosen placement. Placements are
+ * matched on their name, so renaming "Left chest" under Theme settings > Cart keeps working as long as
+ * the name still says which side and where.
+ */
+if (!customElements.get('product-personalisation')) {
+  customElements.define(
+    'product-personalisation',
+    class ProductPersonalisation extends HTMLElement {
+      static FILE_TYPES = ['image/png', 'image/jpeg', 'image/svg+xml'];
+
+      // Centre and width of each placement as fractions of the image, as seen from the front
+      // (the wearer's left chest is on the right of the picture)
+      static PLACEMENTS = [
+        { match: /left.*chest|chest.*left/, x: 0.62, y: 0.32, width: 0.16 },
+        { match: /right.*chest|chest.*right/, x: 0.38, y: 0.32, width: 0.16 },
+        { match: /left.*sleeve|sleeve.*left/, x: 0.8, y: 0.4, width: 0.08 },
+        { match: /sleeve/, x: 0.2, y: 0.4, width: 0.08 },
+        { match: /back/, x: 0.5, y: 0.3, width: 0.34, back: true },
+        { match: /chest/, x: 0.5, y: 0.32, width: 0.2 },
+      ];
+      static DEFAULT_PLACEMENT = { x: 0.5, y: 0.4, width: 0.2 };
+
+      constructor() {
+        super();
+
+        this.options = this.querySelector('.product-personalisation__options');
+        this.fileInput = this.querySelector('input[type="file"]');
+        this.textInput = this.querySelector('input[type="text"]');
+        this.positionSelect = this.querySelector('.product-personalisation__position');
+        this.threadSelect = this.querySelector('.product-personalisation__thread');
+        this.canvas = this.querySelector('canvas');
+        this.previewLabel = this.canvas?.getAttribute('aria-label');
+
+        this.images = {};
+        this.setImage('front', this.dataset.frontImage);
+        this.setImage('back', this.dataset.backImage);
+
+        this.querySelectorAll(`input[name="${this.id}-kind"]`).forEach((radio) =>
+          radio.addEventListener('change', this.onKindChange.bind(this))
+        );
+        this.fileInput.addEventListener('change', this.onFileChange.bind(this));
+        this.addEventListener('input', (event) => {
+          event.target.setCustomValidity?.('');
+          this.requestDraw();
+        });
+        this.addEventListener('change', () => this.requestDraw());
+      }
+
+      variantChangeUnsubscriber = undefined;
+
+      connectedCallback() {
+        this.variantChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.variantChange, ({ data }) => {
+          if (data.sectionId !== this.sectionId || !data.variant.featured_media?.preview_image) return;
+          // The quick add modal and the product page behind it can share a section id
+          if (this.variantIdInput && this.variantIdInput.value !== String(data.variant.id)) return;
+
+          const url = new URL(data.variant.featured_media.preview_image.src, window.location.href);
+          url.searchParams.set('width', 800);
+          this.setImage('front', url.href);
+        });
+      }
+
+      disconnectedCallback() {
+        if (this.variantChangeUnsubscriber) this.variantChangeUnsubscriber();
+        if (this.logoUrl) URL.revokeObjectURL(this.logoUrl);
+      }
+
+      get sectionId() {
+        return this.closest('product-info')?.sectionId || this.dataset.section;
+      }
+
+      get variantIdInput() {
+        return document.getElementById(this.dataset.productForm)?.querySelector('input[name="id"]');
+      }
+
+      get kind() {
+        return this.querySelector(`input[name="${this.id}-kind"]:checked`)?.value || 'none';
+      }
+
+      onKindChange() {
+        const kind = this.kind;
+        this.options.hidden = kind === 'none';
+
+        this.querySelectorAll('.product-personalisation__field').forEach((field) => {
+          const active = kind !== 'none' && (!field.dataset.kind || field.dataset.kind === kind);
+          if (field.dataset.kind) field.hidden = !active;
+          field.querySelectorAll('input, select').forEach((input) => {
+            input.disabled = !active;
+            input.setCustomValidity('');
+          });
+        });
+
+        this.requestDraw();
+      }
+
+      onFileChange() {
+        if (this.logoUrl) URL.revokeObjectURL(this.logoUrl);
+        this.logoUrl = null;
+        this.logo = null;
+
+        const file = this.fileInput.files[0];
+        if (!file || this.fileError(file)) {
+          this.requestDraw();
+          return;
+        }
+
+        this.logoUrl = URL.createObjectURL(file);
+        const logo = new Image();
+        logo.addEventListener('load', () => {
+          if (logo.src !== this.logoUrl) return;
+          this.logo = logo;
+          this.requestDraw();
+        });
+        logo.src = this.logoUrl;
+      }
+
+      fileError(file) {
+        if (!ProductPersonalisation.FILE_TYPES.includes(file.type)) return this.fileInput.dataset.typeError;
+        if (file.size > Number(this.dataset.maxSize)) return this.fileInput.dataset.sizeError;
+        return null;
+      }
+
+      /**
+       * Checks the chosen personalisation, showing the browser's message on the first invalid input.
+       * @returns {Boolean} Whether the product can be added
+       */
+      validate() {
+        const kind = this.kind;
+        if (kind === 'logo') {
+          const file = this.fileInput.files[0];
+          this.fileInput.setCustomValidity(file ? this.fileError(file) || '' : this.fileInput.dataset.requiredError);
+          return this.fileInput.reportValidity();
+        }
+
+        if (kind === 'text') {
+          this.textInput.value = this.textInput.value.trim();
+          if (!this.textInput.value) this.textInput.setCustomValidity(this.textInput.dataset.blankError);
+          else if (this.textInput.validity.patternMismatch)
+            this.textInput.setCustomValidity(this.textInput.dataset.patternError);
+          return this.textInput.reportValidity();
+        }
+
+        return true;
+      }
+
+      /**
+       * Adds the surcharge product for the chosen personalisation to the cart request. The personalised
+       * product becomes the first of the request's items, so the cart response is a list of items. Both
+       * lines get the same _personalisation_id, which cart.js uses to keep the surcharge's quantity in
+       * step with the personalised line and to remove it along with that line.
+       * @param {FormData} formData The product form's data
+       * @returns {FormData} The data to post, which is formData itself without a surcharge
+       */
+      addSurcharge(formData) {
+        const surchargeId = this.kind !== 'none' && this.dataset[`${this.kind}Surcharge`];
+        if (!surchargeId) return formData;
+
+        const itemsData = new FormData();
+        for (const [key, value] of formData.entries()) {
+          if (key === 'id' || key === 'quantity' || key === 'selling_plan') {
+            itemsData.append(`items[0][${key}]`, value);
+          } else if (key.startsWith('properties[')) {
+            itemsData.append(`items[0][properties]${key.slice('properties'.length)}`, value);
+          } else {
+            itemsData.append(key, value);
+          }
+        }
+
+        const personalisationId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        itemsData.append('items[0][properties][_personalisation_id]', personalisationId);
+        itemsData.append('items[0][properties][_personalisation_surcharge]', surchargeId);
+
+        itemsData.append('items[1][id]', surchargeId);
+        itemsData.append('items[1][quantity]', formData.get('quantity') || 1);
+        itemsData.append('items[1][properties][_personalisation_id]', personalisationId);
+        itemsData.append(`items[1][properties][${this.dataset.surchargeProperty}]`, this.dataset.productTitle);
+
+        return itemsData;
+      }
+
+      setImage(side, src) {
+        if (!src || !this.canvas) return;
+
+        const image = new Image();
+        image.addEventListener('load', () => {
+          this.images[side] = image;
+          this.requestDraw();
+        });
+        image.src = src;
+      }
+
+      requestDraw() {
+        if (!this.canvas || this.drawRequested) return;
+        this.drawRequested = true;
+        requestAnimationFrame(() => {
+          this.drawRequested = false;
+          this.draw();
+        });
+      }
+
+      get placement() {
+        const name = (this.positionSelect?.value || '').toLowerCase();
+        return ProductPersonalisation.PLACEMENTS.find(({ match }) => match.test(name)) || ProductPersonalisation.DEFAULT_PLACEMENT;
+      }
+
+      draw() {
+        if (this.options.hidden) return;
+
+        const placement = this.placement;
+        const image = (placement.back && this.images.back) || this.images.front;
+        if (!image) return;
+
+        const canvas = this.canvas;
+        const context = canvas.getContext('2d');
+        if (!context) return;
+
+        canvas.height = Math.round((canvas.width * image.naturalHeight) / image.naturalWidth) || canvas.width;
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        const x = placement.x * canvas.width;
+        const y = placement.y * canvas.height;
+        const width = placement.width * canvas.width;
+
+        if (this.kind === 'logo' && this.logo) {
+          const scale = Math.min(width / this.logo.naturalWidth, width / this.logo.naturalHeight) || 1;
+          const logoWidth = this.logo.naturalWidth * scale;
+          const logoHeight = this.logo.naturalHeight * scale;
+          context.drawImage(this.logo, x - logoWidth / 2, y - logoHeight / 2, logoWidth, logoHeight);
+        } else if (this.kind === 'text' && this.textInput.value.trim()) {
+          this.drawText(context, this.textInput.value.trim(), x, y, width);
+        }
+
+        this.canvas.setAttribute('aria-label', this.describe());
+      }
+
+      drawText(context, text, x, y, width) {
+        const fontFamily = getComputedStyle(this).fontFamily;
+        let fontSize = Math.max(width / 4, 10);
+        context.font = `bold ${fontSize}px ${fontFamily}`;
+        // Shrink long text to the placement's width rather than wrapping it
+        const measured = context.measureText(text).width;
+        if (measured > width) {
+          fontSize = Math.max((fontSize * width) / measured, 6);
+          context.font = `bold ${fontSize}px ${fontFamily}`;
+        }
+
+        const thread = (this.threadSelect?.value || '').trim().toLowerCase().replace(/\s+/g, '');
+        context.fillStyle = thread && window.CSS?.supports('color', thread) ? thread : '#ffffff';
+        context.strokeStyle = 'rgba(0, 0, 0, 0.35)';
+        context.lineWidth = Math.max(fontSize / 16, 1);
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.strokeText(text, x, y);
+        context.fillText(text, x, y);
+      }
+
+      describe() {
+        const details = [];
+        if (this.kind === 'logo' && this.fileInput.files[0]) details.push(this.fileInput.files[0].name);
+        if (this.kind === 'text' && this.textInput.value.trim()) details.push(`"${this.textInput.value.trim()}"`);
+        if (this.kind === 'text' && this.threadSelect) details.push(this.threadSelect.value);
+        if (this.positionSelect) details.push(this.positionSelect.value);
+
+        return details.length ? `${this.previewLabel}: ${details.join(', ')}` : this.previewLabel;
+      }
+    }
+  );
+}
@@ -349,6 +349,12 @@ if (!customElements.get('quick-order-list')) {
             });
           })
           .catch((e) => {
+            if (CartSync.shouldQueue(e)) {
+              CartSync.queue(routes.cart_update_url, body, { type: 'update' })
+                .then(() => this.setErrorMessage(window.cartStrings.queuedOffline))
+                .catch(() => this.setErrorMessage(window.cartStrings.error));
+              return;
+            }
             console.error(e);
             this.setErrorMessage(window.cartStrings.error);
           })
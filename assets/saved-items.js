@@ -0,0 +1,314 @@
+/*
+ * Cart lines saved for later. Guests' items are kept in localStorage; for logged-in customers they
+ * go through routes.saved_items_url, an app proxy that keeps them in a customer metafield (GET
+ * returns { items }, POST { items } replaces them). Both are ShopStorage backends (shop-storage.js),
+ * as used by the shop page's wishlist. Any other backend can be plugged in by setting
+ * window.SavedItems.storage to an object with the same load() and save(items) methods returning
+ * promises.
+ *
+ * A saved item: { id, variantId, productId, quantity, properties, title, variantTitle, url, image, price, savedAt }
+ */
+if (!customElements.get('saved-items')) {
+  class SavedItems {
+    static STORAGE_KEY = 'hydrox-saved-items';
+
+    static storage = null;
+
+    static guestStorage = ShopStorage.backends.local(this.STORAGE_KEY);
+
+    static items = null;
+
+    static getStorage() {
+      if (!this.storage) {
+        this.storage = routes.saved_items_url
+          ? ShopStorage.backends.proxy(routes.saved_items_url, 'items')
+          : this.guestStorage;
+      }
+      return this.storage;
+    }
+
+    static isGuest() {
+      return this.getStorage() === this.guestStorage;
+    }
+
+    static load() {
+      if (!this.items) {
+        this.items = this.getStorage()
+          .load()
+          .then((items) => this.mergeGuestItems(items || []))
+          .catch((e) => {
+            this.items = null;
+            throw e;
+          });
+      }
+      return this.items;
+    }
+
+    // Items saved as a guest move to the account the first time the customer is logged in
+    static mergeGuestItems(items) {
+      if (this.isGuest()) return items;
+
+      return this.guestStorage.load().then((guestItems) => {
+        if (!guestItems || !guestItems.length) return items;
+
+        const merged = guestItems.reduce((list, item) => this.addTo(list, item), items.slice());
+        return this.getStorage()
+          .save(merged)
+          .then(() => this.guestStorage.save([]))
+          .then(() => merged);
+      });
+    }
+
+    // A failed save keeps the previous list
+    static update(callback) {
+      const previous = this.load();
+      const next = previous.then((items) => {
+        const updated = callback(items.slice());
+        return this.getStorage()
+          .save(updated)
+          .then(() => updated);
+      });
+      this.items = next.catch(() => previous);
+
+      return next.then((items) => {
+        publish(PUB_SUB_EVENTS.savedItemsUpdate, { items });
+        return items;
+      });
+    }
+
+    static add(item) {
+      return this.update((items) => this.addTo(items, item));
+    }
+
+    static remove(id) {
+      return this.update((items) => items.filter((item) => item.id !== id));
+    }
+
+    // The same variant with the same properties is saved once, with the quantities added up
+    static addTo(items, item) {
+      const existing = items.find(
+        (saved) =>
+          saved.variantId === item.variantId && JSON.stringify(saved.properties) === JSON.stringify(item.properties)
+      );
+      if (!existing) return [item, ...items];
+
+      return items.map((saved) =>
+        saved === existing ? { ...saved, quantity: saved.quantity + item.quantity } : saved
+      );
+    }
+
+    static fromCartItem(item) {
+      return {
+        id: `${item.variant_id}-${Date.now()}`,
+        variantId: item.variant_id,
+        productId: item.product_id,
+        quantity: item.quantity,
+        properties: item.properties || {},
+        title: item.product_title,
+        variantTitle: item.product_has_only_default_variant ? null : item.variant_title,
+        url: item.url,
+        image: item.featured_image ? item.featured_image.url : item.image,
+        price: item.final_price,
+        savedAt: Date.now(),
+      };
+    }
+
+    // Saves the line before removing it, so it's never lost if the removal goes wrong
+    static saveLine(cartItems, line, event) {
+      const lineKey = cartItems.getLineItem(line)?.dataset.lineKey;
+
+      return fetch(`${routes.cart_url}.js`, { headers: { Accept: 'application/json' } })
+        .then((response) => response.json())
+        .then((cart) => {
+          const item = cart.items.find((cartItem) => cartItem.key === lineKey) || cart.items[line - 1];
+          if (!item) throw new Error(`Cart line ${line} not found`);
+          return this.add(this.fromCartItem(item));
+        })
+        .then(() => cartItems.updateQuantity(line, 0, event))
+        .catch((e) => {
+          console.error(e);
+          cartItems.setLineItemError(line, window.cartStrings.error);
+        });
+    }
+
+    /*
+     * Adds a saved item back to the cart and drops it from the list.
+     * Resolves with the store's error message when the add is rejected (e.g. sold out).
+     */
+    static moveToCart(item) {
+      const body = JSON.stringify({
+        items: [{ id: item.variantId, quantity: item.quantity, properties: item.properties }],
+      });
+
+      return fetch(`${routes.cart_add_url}`, { ...fetchConfig(), body })
+        .then((response) => response.json())
+        .then((response) => {
+          if (response.status) return response.description || response.message || window.cartStrings.error;
+          return this.remove(item.id)
+            .then(() => this.refreshCart())
+            .then(() => null);
+        });
+    }
+
+    static refreshCart() {
+      const cartItems = document.querySelector('cart-items');
+      const body = JSON.stringify({
+        updates: {},
+        sections: cartItems ? cartItems.getSectionsToRender().map((section) => section.section) : [],
+        sections_url: window.location.pathname,
+      });
+
+      return fetch(`${routes.cart_update_url}`, { ...fetchConfig(), body })
+        .then((response) => response.json())
+        .then((parsedState) => {
+          if (cartItems) cartItems.renderSections(parsedState);
+          publish(PUB_SUB_EVENTS.cartUpdate, { source: 'saved-items', cartData: parsedState });
+        });
+    }
+  }
+  window.SavedItems = SavedItems;
+
+  // Keeps other tabs' lists in step with guest changes
+  window.addEventListener('storage', (event) => {
+    if (event.key !== SavedItems.STORAGE_KEY || !SavedItems.isGuest()) return;
+
+    SavedItems.items = null;
+    SavedItems.load().then((items) => publish(PUB_SUB_EVENTS.savedItemsUpdate, { items }));
+  });
+
+  class CartSaveButton extends HTMLElement {
+    constructor() {
+      super();
+
+      this.addEventListener('click', (event) => {
+        event.preventDefault();
+        const button = this.querySelector('button');
+        if (button.getAttribute('aria-disabled') === 'true') return;
+
+        button.setAttribute('aria-disabled', true);
+        const cartItems = this.closest('cart-items') || this.closest('cart-drawer-items');
+        SavedItems.saveLine(cartItems, this.dataset.index, event).finally(() => {
+          button.removeAttribute('aria-disabled');
+        });
+      });
+    }
+  }
+
+  customElements.define('cart-save-button', CartSaveButton);
+
+  class SavedItemsList extends HTMLElement {
+    constructor() {
+      super();
+
+      this.addEventListener('click', this.onClick.bind(this));
+    }
+
+    savedItemsUnsubscriber = undefined;
+
+    connectedCallback() {
+      this.list = this.querySelector('.saved-items__list');
+      this.template = this.querySelector('template');
+      this.strings = JSON.parse(this.querySelector('script[type="application/json"]').textContent);
+      this.items = [];
+
+      this.savedItemsUnsubscriber = subscribe(PUB_SUB_EVENTS.savedItemsUpdate, (event) => this.render(event.items));
+
+      SavedItems.load()
+        .then((items) => this.render(items))
+        .catch((e) => {
+          console.error(e);
+        });
+    }
+
+    disconnectedCallback() {
+      if (this.savedItemsUnsubscriber) {
+        this.savedItemsUnsubscriber();
+      }
+    }
+
+    onClick(event) {
+      const button = event.target.closest('button[data-saved-item]');
+      if (!button || button.getAttribute('aria-disabled') === 'true') return;
+
+      const item = this.items.find((saved) => saved.id === button.dataset.savedItem);
+      if (!item) return;
+
+      if (button.name === 'remove') {
+        SavedItems.remove(item.id).catch((e) => {
+          console.error(e);
+          this.setItemError(item.id, window.cartStrings.error);
+        });
+        return;
+      }
+
+      button.setAttribute('aria-disabled', true);
+      button.classList.add('loading');
+      button.querySelector('.loading__spinner').classList.remove('hidden');
+      this.setItemError(item.id, '');
+
+      SavedItems.moveToCart(item)
+        .then((error) => {
+          if (error) this.setItemError(item.id, error);
+        })
+        .catch((e) => {
+          console.error(e);
+          this.setItemError(item.id, window.cartStrings.error);
+        })
+        .finally(() => {
+          button.removeAttribute('aria-disabled');
+          button.classList.remove('loading');
+          button.querySelector('.loading__spinner').classList.add('hidden');
+        });
+    }
+
+    render(items) {
+      this.items = items;
+      this.list.replaceChildren(...items.map((item) => this.renderItem(item)));
+      this.toggleAttribute('hidden', items.length === 0);
+    }
+
+    renderItem(item) {
+      const element = this.template.content.firstElementChild.cloneNode(true);
+      element.dataset.savedItem = item.id;
+
+      element.querySelectorAll('a').forEach((link) => (link.href = item.url));
+      const image = element.querySelector('img');
+      if (item.image) {
+        image.src = item.image;
+        image.alt = item.title;
+      } else {
+        image.remove();
+      }
+
+      element.querySelector('.saved-items__title').textContent = item.title;
+      element.querySelector('.saved-items__price').textContent = formatMoney(item.price);
+      element.querySelector('.saved-items__quantity').textContent = this.strings.quantity.replace(
+        '[quantity]',
+        item.quantity
+      );
+
+      const options = [
+        item.variantTitle,
+        ...Object.entries(item.properties)
+          .filter(([name, value]) => value && !name.startsWith('_'))
+          .map(([name, value]) => `${name}: ${value}`),
+      ].filter(Boolean);
+      element.querySelector('.saved-items__options').textContent = options.join(' / ');
+
+      element.querySelectorAll('button[name]').forEach((button) => {
+        button.dataset.savedItem = item.id;
+        const label = button.name === 'move' ? this.strings.moveTitle : this.strings.removeTitle;
+        button.setAttribute('aria-label', label.replace('[title]', item.title));
+      });
+
+      return element;
+    }
+
+    setItemError(id, message) {
+      const element = this.list.querySelector(`[data-saved-item="${CSS.escape(id)}"] .saved-items__error`);
+      if (element) element.textContent = message;
+    }
+  }
+
+  customElements.define('saved-items', SavedItemsList);
+}
@@ -0,0 +1,338 @@
+/**
+ * Shop Catalog Store — Hydrox Workwear
+ *
+ * Persists the shop page's mapped products in IndexedDB so a repeat visit can
+ * fill in the full catalog from cache right after rendering page one, then
+ * revalidates it against the Section Rendering API in the background.
+ *
+ * - Records are keyed by product id and carry the `version` hash emitted by
+ *   sections/main-shop.liquid, so unchanged products are never re-written.
+ * - Catalog pages are fetched with bounded concurrency and retried with backoff.
+ * - Falls back to an in-memory store when IndexedDB is unavailable
+ *   (private browsing, blocked storage, old browsers).
+ *
+ * Exposes window.ShopCatalogStore.
+ */
+
+(function () {
+  'use strict';
+
+  var DB_NAME = 'hydrox-shop-catalog';
+  var DB_VERSION = 1;
+  var PRODUCT_STORE = 'products';
+  var META_STORE = 'meta';
+
+  /** Give up on IndexedDB if it has not opened by then (some private modes hang) */
+  var OPEN_TIMEOUT = 1500;
+
+  /* ============================================================
+     BACKENDS
+     Both expose the same promise-based interface:
+     getAll, putMany, deleteMany, clear, getMeta, setMeta
+     ============================================================ */
+
+  function requestToPromise(request) {
+    return new Promise(function (resolve, reject) {
+      request.onsuccess = function () { resolve(request.result); };
+      request.onerror = function () { reject(request.error); };
+    });
+  }
+
+  function transactionToPromise(tx) {
+    return new Promise(function (resolve, reject) {
+      tx.oncomplete = function () { resolve(); };
+      tx.onerror = function () { reject(tx.error); };
+      tx.onabort = function () { reject(tx.error); };
+    });
+  }
+
+  function openDatabase() {
+    return new Promise(function (resolve, reject) {
+      if (!window.indexedDB) return reject(new Error('IndexedDB is not available'));
+
+      var settled = false;
+      function fail(err) {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        reject(err);
+      }
+
+      var timer = setTimeout(function () {
+        fail(new Error('IndexedDB open timed out'));
+      }, OPEN_TIMEOUT);
+
+      var request;
+      try {
+        request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      } catch (e) {
+        return fail(e);
+      }
+
+      request.onupgradeneeded = function () {
+        var db = request.result;
+        if (!db.objectStoreNames.contains(PRODUCT_STORE)) db.createObjectStore(PRODUCT_STORE, { keyPath: 'id' });
+        if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE);
+      };
+      request.onsuccess = function () {
+        // Opened after the page gave up on it: it's using the in-memory store by now
+        if (settled) return request.result.close();
+        settled = true;
+        clearTimeout(timer);
+        resolve(request.result);
+      };
+      // Another tab holds the previous version open; don't wait for it to close
+      request.onblocked = function () {
+        fail(new Error('IndexedDB upgrade blocked by another tab'));
+      };
+      request.onerror = function () {
+        fail(request.error);
+      };
+    });
+  }
+
+  function createIndexedDBBackend(db) {
+    var closed = false;
+
+    // Let a newer version in another tab upgrade the database; this page stops caching until reloaded
+    db.onversionchange = function () {
+      closed = true;
+      db.close();
+    };
+
+    function read(storeName, callback) {
+      if (closed) return Promise.reject(new Error('IndexedDB connection closed'));
+      return requestToPromise(callback(db.transaction(storeName, 'readonly').objectStore(storeName)));
+    }
+
+    function write(storeName, callback) {
+      if (closed) return Promise.reject(new Error('IndexedDB connection closed'));
+      var tx = db.transaction(storeName, 'readwrite');
+      callback(tx.objectStore(storeName));
+      return transactionToPromise(tx);
+    }
+
+    return {
+      getAll: function () {
+        return read(PRODUCT_STORE, function (store) { return store.getAll(); });
+      },
+      putMany: function (records) {
+        if (!records.length) return Promise.resolve();
+        return write(PRODUCT_STORE, function (store) {
+          records.forEach(function (record) { store.put(record); });
+        });
+      },
+      deleteMany: function (ids) {
+        if (!ids.length) return Promise.resolve();
+        return write(PRODUCT_STORE, function (store) {
+          ids.forEach(function (id) { store.delete(id); });
+        });
+      },
+      clear: function () {
+        return Promise.all([
+          write(PRODUCT_STORE, function (store) { store.clear(); }),
+          write(META_STORE, function (store) { store.clear(); })
+        ]);
+      },
+      getMeta: function (key) {
+        return read(META_STORE, function (store) { return store.get(key); });
+      },
+      setMeta: function (key, value) {
+        return write(META_STORE, function (store) { store.put(value, key); });
+      }
+    };
+  }
+
+  function createMemoryBackend() {
+    var records = {};
+    var meta = {};
+
+    return {
+      getAll: function () {
+        return Promise.resolve(Object.keys(records).map(function (id) { return records[id]; }));
+      },
+      putMany: function (list) {
+        list.forEach(function (record) { records[record.id] = record; });
+        return Promise.resolve();
+      },
+      deleteMany: function (ids) {
+        ids.forEach(function (id) { delete records[id]; });
+        return Promise.resolve();
+      },
+      clear: function () {
+        records = {};
+        meta = {};
+        return Promise.resolve();
+      },
+      getMeta: function (key) {
+        return Promise.resolve(meta[key]);
+      },
+      setMeta: function (key, value) {
+        meta[key] = value;
+        return Promise.resolve();
+      }
+    };
+  }
+
+  /* ============================================================
+     STORE
+     ============================================================ */
+
+  function defaultIsStale(previous, next) {
+    return previous.version !== next.version;
+  }
+
+  /**
+   * @param {Object} backend - One of the backends above
+   * @param {Object} options
+   * @param {*} options.schema - Shape version of the records; a mismatch wipes the cache
+   * @param {Function} [options.isStale] - (previous, next) => boolean, defaults to comparing `version`
+   */
+  function CatalogStore(backend, options) {
+    this.backend = backend;
+    this.schema = options.schema;
+    this.isStale = options.isStale || defaultIsStale;
+    this.index = {};
+  }
+
+  /**
+   * Load every cached record. Resolves with an empty list (and clears the
+   * cache) when it was written by a different schema.
+   */
+  CatalogStore.prototype.load = function () {
+    var self = this;
+    var backend = this.backend;
+
+    return backend.getMeta('schema').then(function (schema) {
+      if (schema === self.schema) return backend.getAll();
+      return backend.clear().then(function () {
+        return backend.setMeta('schema', self.schema);
+      }).then(function () { return []; });
+    }).then(function (records) {
+      self.index = {};
+      records.forEach(function (record) { self.index[record.id] = record; });
+      return records;
+    });
+  };
+
+  /**
+   * Compare incoming records against the cache and persist the ones that are
+   * new or stale.
+   * Resolves with [{ previous, record }] for every record that changed;
+   * `previous` is null for products not seen before.
+   */
+  CatalogStore.prototype.reconcile = function (records) {
+    var self = this;
+    var changes = [];
+
+    records.forEach(function (record) {
+      var previous = self.index[record.id] || null;
+      if (previous && !self.isStale(previous, record)) return;
+      self.index[record.id] = record;
+      changes.push({ previous: previous, record: record });
+    });
+
+    var changed = changes.map(function (change) { return change.record; });
+    return this.backend.putMany(changed)
+      .catch(function (err) { console.warn('Shop catalog: failed to persist products', err); })
+      .then(function () { return changes; });
+  };
+
+  /**
+   * Drop every cached record whose id is not in `seenIds` (an id → true map).
+   * Only call this after a complete, successful sync. Resolves with the removed records.
+   */
+  CatalogStore.prototype.prune = function (seenIds) {
+    var self = this;
+    var removed = [];
+
+    Object.keys(this.index).forEach(function (id) {
+      if (seenIds[id]) return;
+      removed.push(self.index[id]);
+      delete self.index[id];
+    });
+
+    return this.backend.deleteMany(removed.map(function (record) { return record.id; }))
+      .catch(function (err) { console.warn('Shop catalog: failed to prune products', err); })
+      .then(function () { return removed; });
+  };
+
+  /* ============================================================
+     PAGE FETCHING
+     ============================================================ */
+
+  function wait(ms) {
+    return new Promise(function (resolve) { setTimeout(resolve, ms); });
+  }
+
+  /**
+   * Run `fetchPage(page)` for every page, at most `concurrency` at a time,
+   * retrying each failed page with exponential backoff.
+   * `onPage(page, result)` is called as soon as each page resolves.
+   * Resolves with { failed: [pages that exhausted their retries] }.
+   */
+  function fetchPages(pages, fetchPage, options) {
+    options = options || {};
+    var concurrency = Math.max(1, options.concurrency || 4);
+    var retries = typeof options.retries === 'number' ? options.retries : 2;
+    var backoff = options.backoff || 400;
+    var queue = pages.slice();
+    var failed = [];
+
+    function attempt(page, tries) {
+      return fetchPage(page).catch(function (err) {
+        if (tries >= retries) throw err;
+        return wait(backoff * Math.pow(2, tries)).then(function () {
+          return attempt(page, tries + 1);
+        });
+      });
+    }
+
+    function worker() {
+      if (!queue.length) return Promise.resolve();
+      var page = queue.shift();
+
+      return attempt(page, 0)
+        .then(function (result) {
+          if (options.onPage) return options.onPage(page, result);
+        })
+        .catch(function (err) {
+          console.warn('Shop catalog: giving up on page ' + page, err);
+          failed.push(page);
+        })
+        .then(worker);
+    }
+
+    var workers = [];
+    for (var i = 0; i < Math.min(concurrency, queue.length); i++) workers.push(worker());
+
+    return Promise.all(workers).then(function () {
+      return { failed: failed.sort(function (a, b) { return a - b; }) };
+    });
+  }
+
+  /* ============================================================
+     PUBLIC API
+     ============================================================ */
+
+  /**
+   * Open the catalog store. Always resolves — with an in-memory store when
+   * IndexedDB cannot be used.
+   */
+  function open(options) {
+    return openDatabase()
+      .then(createIndexedDBBackend)
+      .catch(function (err) {
+        console.warn('Shop catalog: using in-memory cache', err);
+        return createMemoryBackend();
+      })
+      .then(function (backend) {
+        return new CatalogStore(backend, options || {});
+      });
+  }
+
+  window.ShopCatalogStore = {
+    open: open,
+    fetchPages: fetchPages
+  };
+})();
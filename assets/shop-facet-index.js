@@ -0,0 +1,187 @@
+/**
+ * Shop Facet Index — Hydrox Workwear
+ *
+ * Precomputed facet index for the shop page filters. Every [group, value]
+ * pair gets a posting list stored as a bitset over the product array, so
+ * filtering and the sidebar's disjunctive counts become bitwise AND/OR and
+ * popcounts instead of re-scanning the catalog for every checkbox.
+ *
+ * Semantics match the sidebar: OR between values of one group, AND across
+ * groups. A group's counts ignore that group's own selection, so picking
+ * "M" never hides "L".
+ *
+ * Exposes window.ShopFacetIndex.
+ */
+
+(function () {
+  'use strict';
+
+  /* ============================================================
+     BITSET
+     ============================================================ */
+
+  function popcount(word) {
+    word = word - ((word >>> 1) & 0x55555555);
+    word = (word & 0x33333333) + ((word >>> 2) & 0x33333333);
+    return (((word + (word >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+  }
+
+  function Bitset(size) {
+    this.size = size;
+    this.words = new Uint32Array((size + 31) >>> 5);
+  }
+
+  /** A bitset with every bit in [0, size) set */
+  Bitset.full = function (size) {
+    var bits = new Bitset(size);
+    bits.words.fill(0xffffffff);
+    var tail = size & 31;
+    if (tail) bits.words[bits.words.length - 1] = (1 << tail) - 1;
+    return bits;
+  };
+
+  Bitset.prototype.set = function (i) {
+    this.words[i >>> 5] |= 1 << (i & 31);
+  };
+
+  Bitset.prototype.or = function (other) {
+    for (var i = 0; i < this.words.length; i++) this.words[i] |= other.words[i];
+    return this;
+  };
+
+  Bitset.prototype.and = function (other) {
+    for (var i = 0; i < this.words.length; i++) this.words[i] &= other.words[i];
+    return this;
+  };
+
+  Bitset.prototype.clone = function () {
+    var copy = new Bitset(this.size);
+    copy.words.set(this.words);
+    return copy;
+  };
+
+  Bitset.prototype.count = function () {
+    var total = 0;
+    for (var i = 0; i < this.words.length; i++) total += popcount(this.words[i]);
+    return total;
+  };
+
+  /** Size of the intersection, without allocating it */
+  Bitset.prototype.andCount = function (other) {
+    var total = 0;
+    for (var i = 0; i < this.words.length; i++) total += popcount(this.words[i] & other.words[i]);
+    return total;
+  };
+
+  Bitset.prototype.forEach = function (callback) {
+    for (var w = 0; w < this.words.length; w++) {
+      var word = this.words[w];
+      while (word) {
+        var bit = word & -word;
+        callback((w << 5) + (31 - Math.clz32(bit)));
+        word ^= bit;
+      }
+    }
+  };
+
+  /* ============================================================
+     FACET INDEX
+     ============================================================ */
+
+  /**
+   * @param {Array} records - Products, in the order results should come back in
+   * @param {Function} getEntries - record => [[groupKey, value], …]
+   */
+  function FacetIndex(records, getEntries) {
+    var size = records.length;
+    var postings = {};
+
+    records.forEach(function (record, i) {
+      getEntries(record).forEach(function (entry) {
+        var group = postings[entry[0]] || (postings[entry[0]] = {});
+        var bits = group[entry[1]] || (group[entry[1]] = new Bitset(size));
+        bits.set(i);
+      });
+    });
+
+    this.records = records;
+    this.size = size;
+    this.postings = postings;
+  }
+
+  function activeKeys(filters) {
+    var keys = [];
+    for (var k in filters) {
+      if (filters[k] && filters[k].length > 0) keys.push(k);
+    }
+    return keys;
+  }
+
+  /** OR of the posting lists for the selected values of one group */
+  FacetIndex.prototype.groupSet = function (groupKey, values) {
+    var group = this.postings[groupKey] || {};
+    var bits = new Bitset(this.size);
+    values.forEach(function (value) {
+      if (group[value]) bits.or(group[value]);
+    });
+    return bits;
+  };
+
+  /** AND of every active group's set, optionally leaving one group out */
+  FacetIndex.prototype.match = function (filters, excludeKey) {
+    var self = this;
+    var result = Bitset.full(this.size);
+    activeKeys(filters).forEach(function (key) {
+      if (key !== excludeKey) result.and(self.groupSet(key, filters[key]));
+    });
+    return result;
+  };
+
+  /** Records matching the filters, in index order */
+  FacetIndex.prototype.filter = function (filters) {
+    if (!activeKeys(filters).length) return this.records.slice();
+
+    var records = this.records;
+    var result = [];
+    this.match(filters).forEach(function (i) { result.push(records[i]); });
+    return result;
+  };
+
+  /**
+   * Disjunctive facet counts for every indexed value:
+   * { groupKey: { value: count } }, where each group is counted against the
+   * other groups' selections only.
+   */
+  FacetIndex.prototype.counts = function (filters) {
+    var self = this;
+    var keys = activeKeys(filters);
+    var groupSets = {};
+    keys.forEach(function (key) { groupSets[key] = self.groupSet(key, filters[key]); });
+
+    var all = Bitset.full(this.size);
+    var result = {};
+
+    Object.keys(this.postings).forEach(function (groupKey) {
+      var base = all;
+      keys.forEach(function (key) {
+        if (key === groupKey) return;
+        if (base === all) base = all.clone();
+        base.and(groupSets[key]);
+      });
+
+      var group = self.postings[groupKey];
+      var counts = result[groupKey] = {};
+      Object.keys(group).forEach(function (value) {
+        counts[value] = base.andCount(group[value]);
+      });
+    });
+
+    return result;
+  };
+
+  window.ShopFacetIndex = {
+    build: function (records, getEntries) {
+      return new FacetIndex(records, getEntries);
+    }
+  };
+})();
@@ -7,10 +7,25 @@
  *
  * Features:
  * - Dynamic filter sidebar + mobile drawer
+ * - Filter groups, size ladders and price ranges configurable from the
+ *   section's blocks in the theme editor
  * - Sort dropdown (featured / price / newest / best-selling)
  * - URL param sync (collection, product, filters, sort)
- * - Quick-view drawer
- * - Load-more pagination
+ * - Saved searches: named filter presets per customer, share links and
+ *   "notify me about new matches" (see shop-saved-searches.js)
+ * - Named wishlists synced to the customer's account, with share links and
+ *   "add list to cart" (see shop-wishlist.js)
+ * - Quick-view drawer with one selector per variant option (size × colour × fit)
+ * - Size guide with fit finder in the quick view, selecting the recommended
+ *   size (see size-guide.js)
+ * - "Notify me" back in stock emails for sold out variants in the quick view
+ *   (see back-in-stock.js)
+ * - Load-more pagination, or opt-in infinite scroll with a virtualized grid
+ * - Grid position and loaded page count restored on back navigation
+ * - Fuzzy, diacritic-insensitive search ranked by relevance (see shop-search-index.js)
+ * - Bitset facet index for filtering and counts (see shop-facet-index.js)
+ * - Full catalog cached in IndexedDB and revalidated in the background
+ *   (see shop-catalog-store.js)
  */
 
 (function () {
@@ -42,7 +57,10 @@
         parsedTags: parseTags(p.tags || []),
         type: p.type || '',
         createdAt: p.createdAt || '',
+        options: p.options || [],
         variants: p.variants || [],
+        sizeGuide: p.sizeGuide || null,
+        version: p.version || '',
         featured: startIndex + i,
         badge: getBadge(p)
       };
@@ -78,54 +96,32 @@
   }
 
   /**
-   * Fetch remaining product pages (2, 3, …) asynchronously via the
-   * Shopify Section Rendering API. Each page returns a full HTML fragment
-   * from which we extract the JSON product data.
+   * Fetch one catalog page (2, 3, …) via the Shopify Section Rendering API and
+   * extract its JSON product data. Rejects on network/HTTP/parse failures so
+   * ShopCatalogStore.fetchPages can retry the page.
    */
-  function fetchRemainingPages(totalPages, callback) {
-    var remaining = totalPages - 1;
-    if (remaining <= 0) return callback([]);
-
-    var allExtra = [];
-    var done = 0;
-
+  function fetchCatalogPage(page) {
     // Find the section ID for the Section Rendering API
     var sectionEl = document.querySelector('.shopify-section[id*="main-shop"]');
     var sId = sectionEl ? sectionEl.id.replace('shopify-section-', '') : 'main-shop';
 
-    for (var page = 2; page <= totalPages; page++) {
-      (function (pg) {
-        // Use Shopify Section Rendering API: returns only this section's HTML
-        var url = window.location.pathname + '?page=' + pg + '&sections=' + sId;
-
-        fetch(url)
-          .then(function (res) { return res.json(); })
-          .then(function (json) {
-            var products = [];
-            try {
-              var html = json[sId] || '';
-              var parser = new DOMParser();
-              var doc = parser.parseFromString(html, 'text/html');
-              var dataEl = doc.getElementById('shopify-product-data');
-              if (dataEl) {
-                var raw = JSON.parse(dataEl.textContent);
-                raw = raw.filter(function(p) { return !(p.tags && p.tags.indexOf('_hide-from-shop') > -1); });
-                products = mapProducts(raw, (pg - 1) * 50);
-              }
-            } catch (e) {
-              console.warn('Shop page: failed to parse page ' + pg, e);
-            }
-            allExtra = allExtra.concat(products);
-            done++;
-            if (done >= remaining) callback(allExtra);
-          })
-          .catch(function (err) {
-            console.warn('Shop page: failed to fetch page ' + pg, err);
-            done++;
-            if (done >= remaining) callback(allExtra);
-          });
-      })(page);
-    }
+    // Use Shopify Section Rendering API: returns only this section's HTML
+    var url = window.location.pathname + '?page=' + page + '&sections=' + sId;
+
+    return fetch(url)
+      .then(function (res) {
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        return res.json();
+      })
+      .then(function (json) {
+        var doc = new DOMParser().parseFromString(json[sId] || '', 'text/html');
+        var dataEl = doc.getElementById('shopify-product-data');
+        if (!dataEl) throw new Error('No product data in page ' + page);
+
+        var raw = JSON.parse(dataEl.textContent);
+        raw = raw.filter(function(p) { return !(p.tags && p.tags.indexOf('_hide-from-shop') > -1); });
+        return mapProducts(raw, (page - 1) * CATALOG_PAGE_SIZE);
+      });
   }
 
   /**
@@ -167,16 +163,59 @@
     return null;
   }
 
+  /* ============================================================
+     FILTER CONFIG (section blocks in sections/main-shop.liquid)
+     The section emits its filter_group / size_ladder / price_range blocks
+     as JSON. Anything the merchant has not configured falls back to the
+     defaults below, so an unconfigured section behaves as before.
+     ============================================================ */
+
+  function loadFilterConfig() {
+    var el = document.getElementById('shop-filter-config');
+    if (!el) return {};
+    try {
+      return JSON.parse(el.textContent) || {};
+    } catch (e) {
+      console.error('Shop page: failed to parse filter config', e);
+      return {};
+    }
+  }
+
+  /** Split a textarea/text setting into trimmed, non-empty entries */
+  function splitList(str, separator) {
+    return String(str || '').split(separator).map(function (s) { return s.trim(); }).filter(Boolean);
+  }
+
+  var FILTER_CONFIG = loadFilterConfig();
+
+  /* ============================================================
+     SPECIAL FILTERS: Size, Color, Price Range, Vendor
+     These are NOT tag-based — they use variant/product data directly.
+     Keys prefixed with '__' to avoid collision with tag categories.
+     ============================================================ */
+
+  var SPECIAL_FILTER_KEYS = ['__size', '__color', '__price', '__vendor'];
+
+  /** Block "source" setting → special filter key */
+  var SPECIAL_FILTER_SOURCES = { size: '__size', color: '__color', price: '__price', vendor: '__vendor' };
+
+  var SPECIAL_FILTER_LABELS = { __size: 'Size', __color: 'Color', __price: 'Price Range', __vendor: 'Brand' };
+
   /* ============================================================
      BUILD FILTER GROUPS DYNAMICALLY FROM PRODUCT TAGS
      ============================================================ */
 
   /**
-   * Preferred category ordering. Categories found in products but not
-   * listed here will appear at the end in alphabetical order.
-   * The key is what appears before the colon in tags.
+   * Preferred group ordering (special keys and tag categories alike).
+   * Groups found in products but not listed here follow: special filters
+   * first, then tag categories in alphabetical order.
+   * A tag category key is what appears before the colon in tags.
    */
-  var PREFERRED_ORDER = [
+  var DEFAULT_GROUP_ORDER = [
+    '__size',
+    '__color',
+    '__price',
+    '__vendor',
     'Gender',
     'Product Type',
     'Protection',
@@ -186,8 +225,8 @@
     'Certification'
   ];
 
-  /** Categories hidden from filters (duplicates, uncategorised tags, etc.) */
-  var HIDDEN_CATEGORIES = ['Other', 'Type'];
+  /** Groups hidden from filters (duplicates, uncategorised tags, etc.) */
+  var DEFAULT_HIDDEN_GROUPS = ['Other', 'Type'];
 
   /**
    * Pre-defined tag values for categories that should always appear in the
@@ -196,7 +235,7 @@
    * Categories NOT listed here still appear dynamically when products carry
    * those tags — this list only guarantees visibility for specific groups.
    */
-  var PREDEFINED_VALUES = {
+  var DEFAULT_PREDEFINED_VALUES = {
     'Product Type': [
       'Jackets', 'Softshell Jackets', 'Rain Jackets', 'Winter Jackets',
       'Trousers', 'Shorts', 'Bib Overalls', 'Coveralls',
@@ -208,16 +247,107 @@
     ]
   };
 
-  /* ============================================================
-     SPECIAL FILTERS: Size, Color, Price Range, Vendor
-     These are NOT tag-based — they use variant/product data directly.
-     Keys prefixed with '__' to avoid collision with tag categories.
-     ============================================================ */
+  /** Preferred size ordering */
+  var DEFAULT_SIZE_ORDER = ['XXS','XS','S','M','L','XL','XXL','3XL','4XL','5XL'];
 
-  var SPECIAL_FILTER_KEYS = ['__size', '__color', '__price', '__vendor'];
+  /**
+   * Price range definitions, in shop currency. Boundaries are converted to the
+   * presentment currency and labels are generated in it unless set.
+   */
+  var DEFAULT_PRICE_RANGES = [
+    { min: 0, max: 10 },
+    { min: 10, max: 25 },
+    { min: 25, max: 50 },
+    { min: 50, max: 100 },
+    { min: 100, max: Infinity }
+  ];
 
-  /** Preferred size ordering */
-  var SIZE_ORDER = ['XXS','XS','S','M','L','XL','XXL','3XL','4XL','5XL'];
+  var GROUP_ORDER = DEFAULT_GROUP_ORDER;
+  var HIDDEN_GROUPS = DEFAULT_HIDDEN_GROUPS;
+  var PREDEFINED_VALUES = DEFAULT_PREDEFINED_VALUES;
+  /** Display label per group key; groups without one use their key (special filters use SPECIAL_FILTER_LABELS) */
+  var GROUP_LABELS = {};
+
+  if (FILTER_CONFIG.groups && FILTER_CONFIG.groups.length) {
+    GROUP_ORDER = [];
+    // Blocks only override the groups they name, so 'Other' and 'Type' stay hidden unless a block shows them
+    HIDDEN_GROUPS = DEFAULT_HIDDEN_GROUPS.slice();
+    PREDEFINED_VALUES = {};
+
+    FILTER_CONFIG.groups.forEach(function (group) {
+      var key = SPECIAL_FILTER_SOURCES[group.source] || (group.category || '').trim();
+      if (!key) return;
+
+      if (group.hidden) {
+        if (HIDDEN_GROUPS.indexOf(key) === -1) HIDDEN_GROUPS.push(key);
+        return;
+      }
+      if (HIDDEN_GROUPS.indexOf(key) !== -1) HIDDEN_GROUPS.splice(HIDDEN_GROUPS.indexOf(key), 1);
+      GROUP_ORDER.push(key);
+      if (group.label) GROUP_LABELS[key] = group.label;
+
+      var values = splitList(group.values, /\r?\n/);
+      if (values.length && SPECIAL_FILTER_KEYS.indexOf(key) === -1) PREDEFINED_VALUES[key] = values;
+    });
+  }
+
+  var SIZE_ORDER = DEFAULT_SIZE_ORDER;
+
+  if (FILTER_CONFIG.sizeLadders && FILTER_CONFIG.sizeLadders.length) {
+    SIZE_ORDER = [];
+    FILTER_CONFIG.sizeLadders.forEach(function (ladder) {
+      splitList(ladder, ',').forEach(function (size) {
+        size = size.toUpperCase();
+        if (SIZE_ORDER.indexOf(size) === -1) SIZE_ORDER.push(size);
+      });
+    });
+  }
+
+  var PRICE_RANGES = buildPriceRanges(
+    FILTER_CONFIG.priceRanges && FILTER_CONFIG.priceRanges.length ? FILTER_CONFIG.priceRanges : DEFAULT_PRICE_RANGES
+  );
+
+  /**
+   * Normalise price ranges (blank max = open-ended), convert them to the
+   * presentment currency, sort them and fill in missing labels.
+   */
+  function buildPriceRanges(ranges) {
+    return ranges
+      .map(function (r) {
+        var min = parseFloat(r.min) || 0;
+        var max = r.max === null || r.max === undefined || r.max === '' ? Infinity : parseFloat(r.max);
+        return {
+          label: r.label || '',
+          min: convertFromShopCurrency(min),
+          max: isNaN(max) ? Infinity : convertFromShopCurrency(max)
+        };
+      })
+      .filter(function (r) { return r.max > r.min; })
+      .sort(function (a, b) { return a.min - b.min; })
+      .map(function (r) {
+        if (!r.label) r.label = priceRangeLabel(r);
+        return r;
+      });
+  }
+
+  /**
+   * Convert a shop-currency amount with the rate Shopify exposes for the
+   * active market, rounded to a "nice" boundary (43.12 zł → 45 zł).
+   */
+  function convertFromShopCurrency(amount) {
+    var rate = parseFloat(window.Shopify && Shopify.currency && Shopify.currency.rate) || 1;
+    if (rate === 1 || !amount || amount === Infinity) return amount;
+
+    var converted = amount * rate;
+    var step = Math.pow(10, Math.floor(Math.log10(converted))) / 2;
+    return Math.max(step, Math.round(converted / step) * step);
+  }
+
+  function priceRangeLabel(range) {
+    if (range.max === Infinity) return 'Over ' + formatPrice(range.min, true);
+    if (range.min <= 0) return 'Under ' + formatPrice(range.max, true);
+    return formatPrice(range.min, true) + ' \u2014 ' + formatPrice(range.max, true);
+  }
 
   function sortSizes(a, b) {
     var ia = SIZE_ORDER.indexOf(a.toUpperCase());
@@ -246,110 +376,166 @@
     return colors;
   }
 
-  /** Price range definitions */
-  var PRICE_RANGES = [
-    { label: 'Under \u20ac10', min: 0, max: 10 },
-    { label: '\u20ac10 \u2014 \u20ac25', min: 10, max: 25 },
-    { label: '\u20ac25 \u2014 \u20ac50', min: 25, max: 50 },
-    { label: '\u20ac50 \u2014 \u20ac100', min: 50, max: 100 },
-    { label: 'Over \u20ac100', min: 100, max: Infinity }
-  ];
+  /* ============================================================
+     VARIANT OPTIONS
+     ============================================================ */
+
+  /** Option names treated as "size" on multi-option products */
+  var SIZE_OPTION_PATTERN = /size|izm[eē]rs|dydis|suurus|rozmiar|gr[oö](ß|ss)e|taille|storlek|st[oø]rrelse|koko/i;
 
-  function getPriceRangeLabel(price) {
-    for (var i = 0; i < PRICE_RANGES.length; i++) {
-      var r = PRICE_RANGES[i];
-      if (price >= r.min && price < r.max) return r.label;
-      if (r.max === Infinity && price >= r.min) return r.label;
+  function variantOption(variant, index) {
+    return variant['option' + (index + 1)];
+  }
+
+  /**
+   * The size a variant represents, for the size filter and card size buttons.
+   * Single-option products keep using the variant title; multi-option products
+   * use their size option, or null when they have none.
+   */
+  function variantSize(product, variant) {
+    var options = product.options || [];
+    if (options.length <= 1) return variant.title;
+    for (var i = 0; i < options.length; i++) {
+      if (SIZE_OPTION_PATTERN.test(options[i])) return variantOption(variant, i);
     }
     return null;
   }
 
-  /** Check if a product matches a special (non-tag) filter */
-  function productMatchesSpecial(product, groupKey, selectedValues) {
-    if (groupKey === '__size') {
-      if (!product.variants || !product.variants.length) return false;
-      for (var i = 0; i < selectedValues.length; i++) {
-        for (var j = 0; j < product.variants.length; j++) {
-          if (product.variants[j].title === selectedValues[i]) return true;
-        }
-      }
-      return false;
-    }
-    if (groupKey === '__color') {
-      var pColors = extractColor(product);
-      for (var i = 0; i < selectedValues.length; i++) {
-        if (pColors.indexOf(selectedValues[i]) !== -1) return true;
-      }
-      return false;
-    }
-    if (groupKey === '__price') {
-      for (var i = 0; i < selectedValues.length; i++) {
-        for (var k = 0; k < PRICE_RANGES.length; k++) {
-          if (PRICE_RANGES[k].label === selectedValues[i]) {
-            if (product.price >= PRICE_RANGES[k].min && (PRICE_RANGES[k].max === Infinity ? true : product.price < PRICE_RANGES[k].max)) return true;
-          }
-        }
-      }
-      return false;
+  /** Distinct values of every option, in variant order: [['S', 'M'], ['Navy', 'Black']] */
+  function productOptionValues(product) {
+    return product.options.map(function (name, index) {
+      var values = [];
+      product.variants.forEach(function (v) {
+        var value = variantOption(v, index);
+        if (value != null && values.indexOf(value) === -1) values.push(value);
+      });
+      return values;
+    });
+  }
+
+  /** The variant matching every selected option value, or null */
+  function findVariant(product, selected) {
+    if (selected.indexOf(null) !== -1) return null;
+    return product.variants.find(function (v) {
+      return selected.every(function (value, index) { return variantOption(v, index) === value; });
+    }) || null;
+  }
+
+  /**
+   * Whether picking `value` for option `index` can still lead to an available
+   * variant, given the other options selected so far. With `includeSoldOut`,
+   * any variant will do.
+   */
+  function isOptionValueAvailable(product, selected, index, value, includeSoldOut) {
+    return product.variants.some(function (v) {
+      if (!v.available && !includeSoldOut) return false;
+      return selected.every(function (current, i) {
+        var wanted = i === index ? value : current;
+        return wanted == null || variantOption(v, i) === wanted;
+      });
+    });
+  }
+
+  /** Labels of every range the price falls in; price_range blocks may overlap (0–50 and 0–100) */
+  function getPriceRangeLabels(price) {
+    return PRICE_RANGES
+      .filter(function (r) { return price >= r.min && price < r.max; })
+      .map(function (r) { return r.label; });
+  }
+
+  /**
+   * Every [groupKey, value] pair the facet index should know about. Unlike
+   * productFilterEntries() this keeps hidden categories and "Default Title",
+   * so URL filters on them still behave exactly like the old per-product scan.
+   */
+  function productFacetEntries(product) {
+    var entries = [];
+    (product.variants || []).forEach(function (v) {
+      var size = variantSize(product, v);
+      if (size) entries.push(['__size', size]);
+    });
+    extractColor(product).forEach(function (c) { entries.push(['__color', c]); });
+    getPriceRangeLabels(product.price).forEach(function (label) { entries.push(['__price', label]); });
+    entries.push(['__vendor', product.vendor]);
+
+    for (var cat in product.parsedTags) {
+      product.parsedTags[cat].forEach(function (val) { entries.push([cat, val]); });
     }
-    if (groupKey === '__vendor') {
-      return selectedValues.indexOf(product.vendor) !== -1;
+    return entries;
+  }
+
+  /**
+   * Every [groupKey, value] pair a product contributes to the filter sidebar.
+   * Price ranges are fixed, so they are not listed here.
+   */
+  function productFilterEntries(product) {
+    var entries = [];
+    if (product.variants) product.variants.forEach(function (v) {
+      var size = variantSize(product, v);
+      if (size && size !== 'Default Title') entries.push(['__size', size]);
+    });
+    extractColor(product).forEach(function (c) { entries.push(['__color', c]); });
+    if (product.vendor) entries.push(['__vendor', product.vendor]);
+
+    var tags = product.parsedTags;
+    for (var cat in tags) {
+      if (HIDDEN_GROUPS.indexOf(cat) !== -1) continue;
+      tags[cat].forEach(function (val) { entries.push([cat, val]); });
     }
-    return false;
+    return entries;
   }
 
-  /** Count for special filter value */
-  function countForSpecialValue(allProducts, currentFilters, groupKey, value) {
-    var otherFilters = {};
-    for (var k in currentFilters) {
-      if (k !== groupKey && currentFilters[k] && currentFilters[k].length) {
-        otherFilters[k] = currentFilters[k];
-      }
+  /**
+   * Incremental filter-group builder. Keeps a per-value product count so
+   * groups can be rebuilt as catalog pages arrive (or products change or
+   * disappear) without re-scanning the whole catalog.
+   */
+  function createFilterValueIndex() {
+    var counts = {};
+
+    function adjust(product, delta) {
+      productFilterEntries(product).forEach(function (entry) {
+        var group = counts[entry[0]] || (counts[entry[0]] = {});
+        var next = (group[entry[1]] || 0) + delta;
+        if (next > 0) group[entry[1]] = next;
+        else delete group[entry[1]];
+      });
     }
-    var baseFiltered = applyAllFilters(allProducts, otherFilters);
-    return baseFiltered.filter(function (p) {
-      return productMatchesSpecial(p, groupKey, [value]);
-    }).length;
+
+    return {
+      add: function (product) { adjust(product, 1); },
+      remove: function (product) { adjust(product, -1); },
+      build: function () { return buildGroupsFromCounts(counts); }
+    };
   }
 
   function buildFilterGroups(products) {
-    // ---- Special filter: Size (from variants) ----
-    var sizeMap = {};
-    products.forEach(function (p) {
-      if (p.variants) p.variants.forEach(function (v) {
-        if (v.title && v.title !== 'Default Title') sizeMap[v.title] = true;
-      });
-    });
-    var sizeValues = Object.keys(sizeMap).sort(sortSizes);
+    var index = createFilterValueIndex();
+    products.forEach(index.add);
+    return index.build();
+  }
 
-    // ---- Special filter: Color (from title) ----
-    var colorMap = {};
-    products.forEach(function (p) {
-      extractColor(p).forEach(function (c) { colorMap[c] = true; });
-    });
-    var colorValues = Object.keys(colorMap).sort();
+  function buildGroupsFromCounts(counts) {
+    function valuesOf(key) {
+      return Object.keys(counts[key] || {});
+    }
+
+    // ---- Special filters: Size (from variants), Color (from title), Vendor/Brand ----
+    var sizeValues = valuesOf('__size').sort(sortSizes);
+    var colorValues = valuesOf('__color').sort();
+    var vendorValues = valuesOf('__vendor').sort();
 
     // ---- Special filter: Price Range ----
     var priceValues = PRICE_RANGES.map(function (r) { return r.label; });
 
-    // ---- Special filter: Vendor/Brand ----
-    var vendorMap = {};
-    products.forEach(function (p) {
-      if (p.vendor) vendorMap[p.vendor] = true;
-    });
-    var vendorValues = Object.keys(vendorMap).sort();
-
     // ---- Tag-based filters ----
     var categoryMap = {};
-    products.forEach(function (product) {
-      var tags = product.parsedTags;
-      for (var cat in tags) {
-        if (HIDDEN_CATEGORIES.indexOf(cat) !== -1) continue;
-        if (!categoryMap[cat]) categoryMap[cat] = {};
-        tags[cat].forEach(function (val) {
-          categoryMap[cat][val] = true;
-        });
-      }
+    Object.keys(counts).forEach(function (cat) {
+      if (SPECIAL_FILTER_KEYS.indexOf(cat) !== -1) return;
+      var values = valuesOf(cat);
+      if (!values.length) return;
+      categoryMap[cat] = {};
+      values.forEach(function (val) { categoryMap[cat][val] = true; });
     });
 
     // Merge pre-defined values (ensures categories always appear)
@@ -360,42 +546,38 @@
       });
     }
 
-    // Build ordered list — special filters first
-    var groups = [];
+    // Every candidate group, special filters first
+    var candidates = {};
+    var defaultOrder = [];
 
-    if (sizeValues.length > 0) {
-      groups.push({ key: '__size', label: 'Size', values: sizeValues, special: true });
-    }
-    if (colorValues.length > 0) {
-      groups.push({ key: '__color', label: 'Color', values: colorValues, special: true });
-    }
-    groups.push({ key: '__price', label: 'Price Range', values: priceValues, special: true });
-    if (vendorValues.length > 0) {
-      groups.push({ key: '__vendor', label: 'Brand', values: vendorValues, special: true });
+    function addCandidate(key, values, special) {
+      if (HIDDEN_GROUPS.indexOf(key) !== -1) return;
+      candidates[key] = {
+        key: key,
+        label: GROUP_LABELS[key] || SPECIAL_FILTER_LABELS[key] || key,
+        values: values
+      };
+      if (special) candidates[key].special = true;
+      defaultOrder.push(key);
     }
 
-    var used = {};
+    if (sizeValues.length > 0) addCandidate('__size', sizeValues, true);
+    if (colorValues.length > 0) addCandidate('__color', colorValues, true);
+    addCandidate('__price', priceValues, true);
+    if (vendorValues.length > 0) addCandidate('__vendor', vendorValues, true);
 
-    PREFERRED_ORDER.forEach(function (cat) {
-      if (categoryMap[cat]) {
-        groups.push({
-          key: cat,
-          label: cat,
-          values: Object.keys(categoryMap[cat]).sort()
-        });
-        used[cat] = true;
-      }
+    Object.keys(categoryMap).sort().forEach(function (cat) {
+      addCandidate(cat, Object.keys(categoryMap[cat]).sort());
     });
 
-    // Remaining categories not in preferred order
-    Object.keys(categoryMap).sort().forEach(function (cat) {
-      if (!used[cat]) {
-        groups.push({
-          key: cat,
-          label: cat,
-          values: Object.keys(categoryMap[cat]).sort()
-        });
-      }
+    // Configured order first, then everything else in default order
+    var groups = [];
+    var used = {};
+
+    GROUP_ORDER.concat(defaultOrder).forEach(function (key) {
+      if (!candidates[key] || used[key]) return;
+      groups.push(candidates[key]);
+      used[key] = true;
     });
 
     return groups;
@@ -463,39 +645,671 @@
      STATE
      ============================================================ */
 
-  var ITEMS_PER_PAGE = 12;
-  var PRODUCTS = [];
-  var FILTER_GROUPS = [];
+  var ITEMS_PER_PAGE = 12;
+  var PRODUCTS = [];
+  var FILTER_GROUPS = [];
+
+  /** id → product, mirrors PRODUCTS */
+  var productsById = {};
+  /** Per-value counts behind FILTER_GROUPS, updated as catalog pages arrive */
+  var filterValueIndex = createFilterValueIndex();
+  /** Bitset posting lists over PRODUCTS (shop-facet-index.js); null when stale */
+  var facetIndex = null;
+  /** Disjunctive counts for the current filters: { groupKey: { value: count } } */
+  var facetCounts = {};
+  /** Filtered, searched and sorted products from the last update() */
+  var currentResults = [];
+
+  var state = {
+    activeFilters: {},
+    sort: 'featured',
+    collection: null,
+    highlightProduct: null,
+    currentPage: 1,
+    showSavedOnly: false,
+    /** { name, productIds } when the page was opened from a shared wishlist link */
+    sharedWishlist: null
+  };
+
+  /* ============================================================
+     CATALOG CACHE (IndexedDB via shop-catalog-store.js)
+     ============================================================ */
+
+  /** Must match the paginate size in sections/main-shop.liquid */
+  var CATALOG_PAGE_SIZE = 50;
+  var CATALOG_FETCH_CONCURRENCY = 4;
+  var CATALOG_FETCH_RETRIES = 2;
+  /**
+   * Bump whenever mapProducts() changes shape so stale caches are discarded.
+   * Prices are cached in the presentment currency, so a market switch discards it too.
+   */
+  var CATALOG_SCHEMA = 3;
+  var CATALOG_CURRENCY = (window.moneySettings && window.moneySettings.currency) || '';
+
+  var catalogStore = null;
+  var updateFrame = null;
+  /** URL params the page opened with, and the URL after the first render (see mergeCatalogCache) */
+  var openingView = null;
+
+  function openCatalogStore() {
+    return window.ShopCatalogStore.open({
+      schema: CATALOG_SCHEMA + ':' + CATALOG_CURRENCY,
+      isStale: function (previous, next) {
+        return previous.version !== next.version || previous.featured !== next.featured;
+      }
+    });
+  }
+
+  function byFeatured(a, b) {
+    return a.featured - b.featured;
+  }
+
+  /** Replace the whole catalog and rebuild the id map and filter index from scratch */
+  function setCatalog(products) {
+    PRODUCTS = products.slice().sort(byFeatured);
+    productsById = {};
+    filterValueIndex = createFilterValueIndex();
+    PRODUCTS.forEach(function (p) {
+      productsById[p.id] = p;
+      filterValueIndex.add(p);
+    });
+    FILTER_GROUPS = filterValueIndex.build();
+    invalidateIndexes();
+  }
+
+  /**
+   * Merge cached products with the freshly rendered first page. Page one
+   * always wins; cached products stand in for the rest of the catalog until
+   * the background sync catches up.
+   */
+  function mergeCachedProducts(cached, firstPage) {
+    var merged = firstPage.slice();
+    var seen = {};
+    firstPage.forEach(function (p) { seen[p.id] = true; });
+    cached.forEach(function (p) {
+      if (seen[p.id]) return;
+      // "New" depends on today's date, so never trust a cached badge
+      p.badge = getBadge(p);
+      merged.push(p);
+    });
+    return merged;
+  }
+
+  /**
+   * Add the cached catalog to the page-one render. The first render drops URL
+   * filters for groups that only cached products have, and a ?product= link
+   * to one of them, so they're applied now unless the shopper has already
+   * changed the view.
+   */
+  function mergeCatalogCache(cached, firstPage) {
+    var products = mergeCachedProducts(cached, firstPage);
+    if (products.length === PRODUCTS.length) return;
+
+    var knownGroups = {};
+    FILTER_GROUPS.forEach(function (group) { knownGroups[group.key] = true; });
+    setCatalog(products);
+
+    var view = openingView;
+    if (!view || window.location.search !== view.search) {
+      update();
+      return;
+    }
+
+    FILTER_GROUPS.forEach(function (group) {
+      var val = !knownGroups[group.key] && getURLFilter(view.params, group);
+      if (val) state.activeFilters[group.key] = val.split(',');
+    });
+
+    var productId = view.params.get('product');
+    var highlight = productId && !firstPage.some(function (p) { return p.id === productId; });
+    if (highlight) state.highlightProduct = productId;
+
+    update();
+    // Scrolling to the linked product takes precedence over the saved position
+    if (!highlight) view.restoreScroll();
+  }
+
+  /** Apply new/changed products from a catalog page, touching only their filter counts */
+  function applyCatalogChanges(changes) {
+    if (!changes.length) return;
+
+    changes.forEach(function (change) {
+      var product = change.record;
+      var existing = productsById[product.id];
+      if (existing) {
+        filterValueIndex.remove(existing);
+        PRODUCTS[PRODUCTS.indexOf(existing)] = product;
+      } else {
+        PRODUCTS.push(product);
+      }
+      productsById[product.id] = product;
+      filterValueIndex.add(product);
+    });
+
+    PRODUCTS.sort(byFeatured);
+    FILTER_GROUPS = filterValueIndex.build();
+    invalidateIndexes();
+    scheduleUpdate();
+  }
+
+  /** Drop products that no longer exist in the catalog */
+  function removeCatalogProducts(removed) {
+    var gone = {};
+    removed.forEach(function (p) {
+      var existing = productsById[p.id];
+      if (!existing) return;
+      filterValueIndex.remove(existing);
+      delete productsById[p.id];
+      gone[p.id] = true;
+    });
+    if (!Object.keys(gone).length) return;
+
+    PRODUCTS = PRODUCTS.filter(function (p) { return !gone[p.id]; });
+    FILTER_GROUPS = filterValueIndex.build();
+    invalidateIndexes();
+    scheduleUpdate();
+  }
+
+  /** Facet and search indexes are rebuilt lazily, once per catalog change */
+  function invalidateIndexes() {
+    facetIndex = null;
+    searchIndex = null;
+  }
+
+  function getFacetIndex() {
+    if (!facetIndex) facetIndex = window.ShopFacetIndex.build(PRODUCTS, productFacetEntries);
+    return facetIndex;
+  }
+
+  /** Coalesce re-renders when several catalog pages land in the same frame */
+  function scheduleUpdate() {
+    if (updateFrame) return;
+    updateFrame = requestAnimationFrame(function () {
+      updateFrame = null;
+      update();
+    });
+  }
+
+  /**
+   * Revalidate the cache in the background: fetch pages 2…N, apply whatever
+   * changed and — only when every page came back — drop products that have
+   * been removed from the store.
+   */
+  function syncCatalog(firstPage, totalPages) {
+    var seen = {};
+    firstPage.forEach(function (p) { seen[p.id] = true; });
+
+    var pages = [];
+    for (var page = 2; page <= totalPages; page++) pages.push(page);
+
+    catalogStore.reconcile(firstPage)
+      .then(function () {
+        return window.ShopCatalogStore.fetchPages(pages, fetchCatalogPage, {
+          concurrency: CATALOG_FETCH_CONCURRENCY,
+          retries: CATALOG_FETCH_RETRIES,
+          onPage: function (pg, products) {
+            products.forEach(function (p) { seen[p.id] = true; });
+            return catalogStore.reconcile(products).then(applyCatalogChanges);
+          }
+        });
+      })
+      .then(function (result) {
+        if (result.failed.length) return;
+        return catalogStore.prune(seen).then(removeCatalogProducts);
+      })
+      .catch(function (err) {
+        console.warn('Shop page: catalog sync failed', err);
+      });
+  }
+
+  /* ============================================================
+     WISHLIST (named lists synced to the customer via shop-wishlist.js)
+     ============================================================ */
+
+  /** { customerId, endpoint } from #shop-wishlist-config in sections/main-shop.liquid */
+  function loadWishlistConfig() {
+    var el = document.getElementById('shop-wishlist-config');
+    if (!el) return {};
+    try {
+      return JSON.parse(el.textContent) || {};
+    } catch (e) {
+      console.error('Failed to parse wishlist config:', e);
+      return {};
+    }
+  }
+
+  var WISHLIST_CONFIG = loadWishlistConfig();
+
+  /**
+   * Set window.shopWishlistBackend before this script runs to replace the
+   * app proxy, e.g. with ShopWishlist.backends.memory() for local testing.
+   */
+  var wishlist = window.ShopWishlist.create({
+    customerId: WISHLIST_CONFIG.customerId,
+    backend: window.shopWishlistBackend ||
+      (WISHLIST_CONFIG.customerId && WISHLIST_CONFIG.endpoint ? window.ShopWishlist.backends.proxy(WISHLIST_CONFIG.endpoint) : null)
+  });
+
+  function isSaved(productId) {
+    return wishlist.has(productId);
+  }
+
+  function toggleWishlist(productId, variantId) {
+    if (wishlist.has(productId) && !variantId) {
+      wishlist.remove(productId);
+    } else {
+      wishlist.add(productId, { variantId: variantId });
+    }
+    updateWishlistCount();
+  }
+
+  function updateWishlistCount() {
+    var count = wishlist.productIds().length;
+    var el = document.getElementById('shopWishlistCount');
+    if (el) el.textContent = count > 0 ? count : '';
+  }
+
+  /**
+   * The variant to add for a wishlist item: the one saved from quick view, or
+   * the only variant. Null when sold out or a size still has to be chosen.
+   */
+  function resolveWishlistVariant(item) {
+    var product = productsById[item.productId];
+    if (!product) return null;
+    var variant = item.variantId
+      ? product.variants.find(function (v) { return String(v.id) === String(item.variantId); })
+      : (product.variants.length === 1 ? product.variants[0] : null);
+    return variant && variant.available ? variant.id : null;
+  }
+
+  function setWishlistStatus(message) {
+    var el = document.getElementById('shopWishlistStatus');
+    if (el) el.textContent = message;
+  }
+
+  function addWishlistToCart(listId, button) {
+    button.disabled = true;
+    setWishlistStatus('Adding to cart\u2026');
+
+    // Only the cart drawer can render several new lines; otherwise just refresh the cart count
+    var cart = document.querySelector('cart-drawer');
+    wishlist.addListToCart(listId, resolveWishlistVariant, cart)
+      .then(function (result) {
+        var message = result.added.length
+          ? 'Added ' + result.added.length + ' item' + (result.added.length !== 1 ? 's' : '') + ' to cart.'
+          : 'Nothing could be added.';
+        if (result.skipped.length) {
+          message += ' ' + result.skipped.length + ' need a size or are sold out \u2014 open them to choose.';
+        }
+        setWishlistStatus(message);
+        if (!result.response) return;
+        publish(PUB_SUB_EVENTS.cartUpdate, { source: 'shop-wishlist', cartData: result.response });
+        if (cart) {
+          cart.renderContents(result.response);
+        } else {
+          refreshCartIconBubble();
+        }
+      })
+      .catch(function (err) {
+        console.error('Add list to cart failed:', err);
+        setWishlistStatus(err.message || 'Could not add the list to your cart.');
+      })
+      .then(function () { button.disabled = false; });
+  }
+
+  function shareWishlist(listId) {
+    var url = wishlist.shareUrl(listId);
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(url).then(
+        function () { setWishlistStatus('Link copied \u2014 anyone with it can view this list.'); },
+        function () { window.prompt('Copy this link to share the list:', url); }
+      );
+    } else {
+      window.prompt('Copy this link to share the list:', url);
+    }
+  }
+
+  /** List switcher and actions, shown while browsing saved or shared products */
+  function renderWishlistBar() {
+    var bar = document.getElementById('shopWishlistBar');
+    if (!bar) return;
+
+    var shared = state.sharedWishlist;
+    if (!shared && !state.showSavedOnly) {
+      bar.style.display = 'none';
+      bar.innerHTML = '';
+      return;
+    }
+    bar.style.display = '';
+
+    var html;
+    if (shared) {
+      html =
+        '<p class="shop-wishlist-bar__title">Shared list' + (shared.name ? ': <strong>' + escapeHTML(shared.name) + '</strong>' : '') +
+          ' &middot; ' + shared.productIds.length + ' product' + (shared.productIds.length !== 1 ? 's' : '') + '</p>' +
+        '<div class="shop-wishlist-bar__actions">' +
+          '<button class="shop-wishlist-bar__btn" type="button" data-wishlist-action="import">Save to my lists</button>' +
+          '<button class="shop-wishlist-bar__btn" type="button" data-wishlist-action="close">Close</button>' +
+        '</div>';
+    } else {
+      var active = wishlist.getList();
+      var options = wishlist.lists().map(function (list) {
+        return '<option value="' + escapeHTML(list.id) + '"' + (list.id === active.id ? ' selected' : '') + '>' +
+          escapeHTML(list.name) + ' (' + list.count + ')</option>';
+      }).join('');
+      html =
+        '<label class="shop-wishlist-bar__label" for="shopWishlistSelect">List</label>' +
+        '<select class="shop-wishlist-bar__select" id="shopWishlistSelect">' + options + '</select>' +
+        '<form class="shop-wishlist-bar__new" id="shopWishlistNewForm">' +
+          '<input class="shop-wishlist-bar__input" type="text" name="name" placeholder="New list name" aria-label="New list name" maxlength="60">' +
+          '<button class="shop-wishlist-bar__btn" type="submit">Create</button>' +
+        '</form>' +
+        '<div class="shop-wishlist-bar__actions">' +
+          '<button class="shop-wishlist-bar__btn" type="button" data-wishlist-action="share">Share</button>' +
+          '<button class="shop-wishlist-bar__btn shop-wishlist-bar__btn--primary" type="button" data-wishlist-action="cart">Add all to cart</button>' +
+          (active.id !== window.ShopWishlist.DEFAULT_LIST_ID ? '<button class="shop-wishlist-bar__btn" type="button" data-wishlist-action="delete">Delete list</button>' : '') +
+        '</div>';
+    }
+    bar.innerHTML = html + '<p class="shop-wishlist-bar__status" id="shopWishlistStatus" role="status"></p>';
+
+    var select = document.getElementById('shopWishlistSelect');
+    if (select) select.addEventListener('change', function () {
+      wishlist.setActiveList(select.value);
+      state.currentPage = 1;
+      updateWishlistCount();
+      update();
+    });
+
+    var form = document.getElementById('shopWishlistNewForm');
+    if (form) form.addEventListener('submit', function (e) {
+      e.preventDefault();
+      var name = form.elements.name.value.trim();
+      if (!name) return;
+      wishlist.createList(name);
+      state.currentPage = 1;
+      updateWishlistCount();
+      update();
+    });
+
+    bar.querySelectorAll('[data-wishlist-action]').forEach(function (btn) {
+      btn.addEventListener('click', function () {
+        switch (btn.dataset.wishlistAction) {
+          case 'share':
+            shareWishlist();
+            break;
+          case 'cart':
+            addWishlistToCart(wishlist.getList().id, btn);
+            break;
+          case 'delete':
+            if (!window.confirm('Delete the list "' + wishlist.getList().name + '"?')) return;
+            wishlist.deleteList(wishlist.getList().id);
+            updateWishlistCount();
+            update();
+            break;
+          case 'import':
+            wishlist.importShared(state.sharedWishlist);
+            state.sharedWishlist = null;
+            state.showSavedOnly = true;
+            updateWishlistFilterButton();
+            updateWishlistCount();
+            update();
+            break;
+          case 'close':
+            state.sharedWishlist = null;
+            update();
+            break;
+        }
+      });
+    });
+  }
+
+  function updateWishlistFilterButton() {
+    var btn = document.getElementById('shopWishlistFilter');
+    if (btn) btn.classList.toggle('shop-wishlist-filter--active', state.showSavedOnly);
+  }
+
+  /* ============================================================
+     SAVED SEARCHES (filter presets via shop-saved-searches.js)
+     ============================================================ */
+
+  /** { customerId, endpoint, notifyEndpoint } from #shop-saved-search-config */
+  function loadSavedSearchConfig() {
+    var el = document.getElementById('shop-saved-search-config');
+    if (!el) return {};
+    try {
+      return JSON.parse(el.textContent) || {};
+    } catch (e) {
+      console.error('Failed to parse saved search config:', e);
+      return {};
+    }
+  }
+
+  var SAVED_SEARCH_CONFIG = loadSavedSearchConfig();
+
+  /** window.shopSavedSearchBackend replaces the app proxy, like window.shopWishlistBackend */
+  var savedSearches = window.ShopSavedSearches.create({
+    customerId: SAVED_SEARCH_CONFIG.customerId,
+    backend: window.shopSavedSearchBackend ||
+      (SAVED_SEARCH_CONFIG.customerId && SAVED_SEARCH_CONFIG.endpoint ? window.ShopSavedSearches.backends.proxy(SAVED_SEARCH_CONFIG.endpoint) : null)
+  });
+
+  var saveSearchFormOpen = false;
+  /** Name of the preset a shared ?preset= link opened; offered when saving it */
+  var sharedPresetName = '';
+
+  function hasActiveSearch() {
+    return totalActiveCount(state.activeFilters) > 0 || !!searchTerm;
+  }
+
+  function suggestSearchName() {
+    if (sharedPresetName) return sharedPresetName;
+    var parts = [];
+    FILTER_GROUPS.forEach(function (group) {
+      (state.activeFilters[group.key] || []).forEach(function (value) { parts.push(value); });
+    });
+    if (searchTerm) parts.push('\u201c' + searchTerm + '\u201d');
+    return parts.join(' / ');
+  }
+
+  /** Replace the page's filters, sort and search with a preset's query string */
+  function applySearchQuery(query) {
+    history.replaceState(null, '', window.location.pathname + (query ? '?' + query : ''));
+    readURLParams();
+    state.currentPage = 1;
+    state.sharedWishlist = null;
+
+    var sortSelect = document.getElementById('shopSortSelect');
+    if (sortSelect) sortSelect.value = state.sort;
+    var input = document.getElementById('shopSearchInput');
+    var clearBtn = document.getElementById('shopSearchClear');
+    if (input) input.value = searchTerm;
+    if (clearBtn) clearBtn.style.display = searchTerm ? 'block' : 'none';
+
+    update();
+  }
+
+  /**
+   * Turn a shared ?preset= link into the preset's own query string before the first render.
+   * Returns null when there is no link, so the page can render without waiting.
+   */
+  function expandPresetLink() {
+    var code = new URLSearchParams(window.location.search).get('preset');
+    if (!code) return null;
+
+    return window.ShopSavedSearches.decode(code).then(function (preset) {
+      sharedPresetName = preset ? preset.name : '';
+      var query = preset ? preset.query : '';
+      history.replaceState(null, '', window.location.pathname + (query ? '?' + query : ''));
+    });
+  }
+
+  function setSavedSearchStatus(message) {
+    document.querySelectorAll('.shop-saved-searches__status').forEach(function (el) {
+      el.textContent = message;
+    });
+  }
+
+  function shareSavedSearch(preset) {
+    window.ShopSavedSearches.encode(preset).then(function (code) {
+      var url = window.location.origin + window.location.pathname + '?preset=' + code;
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(url).then(
+          function () { setSavedSearchStatus('Link to \u201c' + preset.name + '\u201d copied.'); },
+          function () { window.prompt('Copy this link to share the search:', url); }
+        );
+      } else {
+        window.prompt('Copy this link to share the search:', url);
+      }
+    });
+  }
+
+  function saveCurrentSearch(form) {
+    var name = form.elements.name.value.trim();
+    var notify = !!(form.elements.notify && form.elements.notify.checked);
+    var email = form.elements.email ? form.elements.email.value.trim() : '';
+    if (!name) {
+      form.elements.name.focus();
+      return;
+    }
+    if (notify && form.elements.email && !form.elements.email.checkValidity()) {
+      form.elements.email.reportValidity();
+      return;
+    }
+
+    var preset = savedSearches.save(name, buildSearchParams().toString(), { notify: notify });
+    saveSearchFormOpen = false;
+    sharedPresetName = '';
+    renderSavedSearches();
+    renderActivePills();
+    setSavedSearchStatus('Saved \u201c' + preset.name + '\u201d.');
+
+    if (!notify) return;
+    window.ShopSavedSearches.subscribe(SAVED_SEARCH_CONFIG.notifyEndpoint, preset, {
+      email: email,
+      customerId: SAVED_SEARCH_CONFIG.customerId,
+      url: window.location.origin + window.location.pathname + '?' + preset.query
+    })
+      .then(function () {
+        setSavedSearchStatus('Saved \u201c' + preset.name + '\u201d. We\u2019ll email you when new products match.');
+      })
+      .catch(function (err) {
+        console.error('Saved search subscription failed:', err);
+        setSavedSearchStatus('Saved \u201c' + preset.name + '\u201d, but we couldn\u2019t set up the email alert. Please try again later.');
+      });
+  }
 
-  var state = {
-    activeFilters: {},
-    sort: 'featured',
-    collection: null,
-    highlightProduct: null,
-    currentPage: 1,
-    showSavedOnly: false
-  };
+  /** "Save this search" button, or its form, after the active filter pills */
+  function renderSaveSearchControl(container) {
+    if (!hasActiveSearch()) return;
 
-  /* ============================================================
-     WISHLIST (localStorage)
-     ============================================================ */
+    if (!saveSearchFormOpen) {
+      var btn = document.createElement('button');
+      btn.className = 'shop-save-search';
+      btn.type = 'button';
+      btn.textContent = 'Save this search';
+      btn.addEventListener('click', function () {
+        saveSearchFormOpen = true;
+        renderActivePills();
+      });
+      container.appendChild(btn);
+      return;
+    }
 
-  var savedProducts = JSON.parse(localStorage.getItem('shopWishlist') || '[]');
+    var canNotify = !!SAVED_SEARCH_CONFIG.notifyEndpoint;
+    var form = document.createElement('form');
+    form.className = 'shop-save-search__form';
+    form.innerHTML =
+      '<input class="shop-save-search__input" type="text" name="name" maxlength="80" aria-label="Search name" placeholder="Name this search">' +
+      (canNotify
+        ? '<label class="shop-save-search__notify"><input type="checkbox" name="notify"> Email me when new products match</label>' +
+          (SAVED_SEARCH_CONFIG.customerId ? '' : '<input class="shop-save-search__input" type="email" name="email" required disabled aria-label="Email" placeholder="Email address" style="display:none;">')
+        : '') +
+      '<div class="shop-save-search__actions">' +
+        '<button class="shop-save-search__submit" type="submit">Save</button>' +
+        '<button class="shop-save-search__cancel" type="button">Cancel</button>' +
+      '</div>';
+    form.elements.name.value = suggestSearchName();
 
-  function toggleWishlist(productId) {
-    var idx = savedProducts.indexOf(productId);
-    if (idx === -1) {
-      savedProducts.push(productId);
-    } else {
-      savedProducts.splice(idx, 1);
+    // The email is only asked for (and validated) when the alert is wanted
+    if (form.elements.notify && form.elements.email) {
+      form.elements.notify.addEventListener('change', function () {
+        form.elements.email.disabled = !form.elements.notify.checked;
+        form.elements.email.style.display = form.elements.notify.checked ? '' : 'none';
+      });
     }
-    localStorage.setItem('shopWishlist', JSON.stringify(savedProducts));
-    updateWishlistCount();
+    form.addEventListener('submit', function (e) {
+      e.preventDefault();
+      saveCurrentSearch(form);
+    });
+    form.querySelector('.shop-save-search__cancel').addEventListener('click', function () {
+      saveSearchFormOpen = false;
+      renderActivePills();
+    });
+    container.appendChild(form);
   }
 
-  function updateWishlistCount() {
-    var el = document.getElementById('shopWishlistCount');
-    if (el) el.textContent = savedProducts.length > 0 ? savedProducts.length : '';
+  function renderSavedSearches() {
+    var presets = savedSearches.list();
+    document.querySelectorAll('.shop-saved-searches').forEach(function (panel) {
+      var details = panel.querySelector('details');
+      var wasOpen = details ? details.open : false;
+      var status = panel.querySelector('.shop-saved-searches__status');
+
+      panel.style.display = presets.length || (status && status.textContent) ? '' : 'none';
+      panel.innerHTML =
+        (presets.length
+          ? '<details class="shop-saved-searches__details"' + (wasOpen ? ' open' : '') + '>' +
+              '<summary class="shop-saved-searches__summary">Saved searches (' + presets.length + ')</summary>' +
+              '<ul class="shop-saved-searches__list">' + presets.map(function (preset) {
+                return '<li class="shop-saved-searches__item">' +
+                  '<button class="shop-saved-searches__apply" type="button" data-preset-action="apply" data-preset-id="' + preset.id + '">' + escapeHTML(preset.name) + '</button>' +
+                  '<button class="shop-saved-searches__action" type="button" data-preset-action="share" data-preset-id="' + preset.id + '" aria-label="Share ' + escapeHTML(preset.name) + '">Share</button>' +
+                  '<button class="shop-saved-searches__action" type="button" data-preset-action="delete" data-preset-id="' + preset.id + '" aria-label="Delete ' + escapeHTML(preset.name) + '">&times;</button>' +
+                '</li>';
+              }).join('') + '</ul>' +
+            '</details>'
+          : '') +
+        '<p class="shop-saved-searches__status" role="status">' + (status ? escapeHTML(status.textContent) : '') + '</p>';
+    });
+  }
+
+  function injectSavedSearches() {
+    var anchors = [
+      { el: document.getElementById('shopActiveFilters'), after: true },
+      { el: document.getElementById('shopMobileFilterGroups'), after: false }
+    ];
+
+    anchors.forEach(function (anchor) {
+      if (!anchor.el) return;
+      var panel = document.createElement('div');
+      panel.className = 'shop-saved-searches';
+      panel.style.display = 'none';
+      anchor.el.parentNode.insertBefore(panel, anchor.after ? anchor.el.nextSibling : anchor.el);
+
+      panel.addEventListener('click', function (e) {
+        var btn = e.target.closest('[data-preset-action]');
+        if (!btn) return;
+        var preset = savedSearches.get(btn.dataset.presetId);
+        if (!preset) return;
+
+        switch (btn.dataset.presetAction) {
+          case 'apply':
+            applySearchQuery(preset.query);
+            closeMobileDrawer();
+            break;
+          case 'share':
+            shareSavedSearch(preset);
+            break;
+          case 'delete':
+            savedSearches.remove(preset.id);
+            setSavedSearchStatus('Deleted \u201c' + preset.name + '\u201d.');
+            renderSavedSearches();
+            break;
+        }
+      });
+    });
+
+    renderSavedSearches();
   }
 
   /* ============================================================
@@ -505,17 +1319,44 @@
   var searchTerm = '';
   var searchTimeout = null;
 
+  /** Tokenized, typo-tolerant index over PRODUCTS (shop-search-index.js); null when stale */
+  var searchIndex = null;
+  /** Search hits for the current term: { productId: { score, terms } } */
+  var searchMatches = {};
+
+  /** Field weights: title > tags > vendor */
+  var SEARCH_FIELDS = [
+    { weight: 3, get: function (p) { return p.name; } },
+    { weight: 2, get: function (p) {
+      var values = [];
+      for (var cat in p.parsedTags) values = values.concat(p.parsedTags[cat]);
+      return values;
+    } },
+    { weight: 1, get: function (p) { return p.vendor; } }
+  ];
+
+  function getSearchIndex() {
+    if (!searchIndex) searchIndex = window.ShopSearch.build(PRODUCTS, SEARCH_FIELDS);
+    return searchIndex;
+  }
+
+  /** Keep products matching the search term and remember their relevance for sorting/highlighting */
   function searchProducts(products, term) {
-    if (!term) return products;
-    var lower = term.toLowerCase();
-    return products.filter(function (p) {
-      if (p.name.toLowerCase().indexOf(lower) !== -1) return true;
-      if (p.vendor.toLowerCase().indexOf(lower) !== -1) return true;
-      for (var i = 0; i < p.rawTags.length; i++) {
-        if (p.rawTags[i].toLowerCase().indexOf(lower) !== -1) return true;
-      }
-      return false;
+    searchMatches = {};
+    var hits = term ? getSearchIndex().search(term) : null;
+    if (!hits) return products;
+
+    hits.forEach(function (hit) {
+      searchMatches[hit.record.id] = { score: hit.score, terms: hit.terms };
     });
+    return products.filter(function (p) { return searchMatches[p.id]; });
+  }
+
+  /** Escaped text with matched search terms wrapped in <mark> */
+  function highlightMatches(text, productId) {
+    var match = searchMatches[productId];
+    if (!match) return escapeHTML(text);
+    return window.ShopSearch.highlight(text, match.terms, 'shop-card__highlight');
   }
 
   /* ============================================================
@@ -563,12 +1404,44 @@
       '.shop-search__input:focus{outline:none;border-color:#333;}',
       '.shop-search__clear{position:absolute;right:8px;top:50%;transform:translateY(-50%);background:none;border:none;cursor:pointer;color:#999;padding:4px;display:none;line-height:1;}',
       '.shop-search__clear:hover{color:#333;}',
+      '.shop-card__highlight{background:#fff1a8;color:inherit;border-radius:2px;padding:0 1px;}',
       /* Task 6: Unified toolbar feel */
       '.shop-toolbar{display:flex;flex-wrap:wrap;gap:8px;align-items:center;padding:8px 0;border-bottom:1px solid #eee;margin-bottom:16px;}',
       '.shop-wishlist-filter{display:flex;align-items:center;gap:6px;padding:8px 14px;border:1px solid #ddd;border-radius:6px;background:#fff;cursor:pointer;font-size:13px;color:#666;transition:all .2s;height:38px;box-sizing:border-box;}',
       '.shop-wishlist-filter:hover{border-color:#333;color:#333;}',
       '.shop-wishlist-filter--active{background:#333;color:#fff;border-color:#333;}',
       '.shop-wishlist-filter__count{font-weight:600;}',
+      '.shop-wishlist-bar{display:flex;flex-wrap:wrap;align-items:center;gap:8px 12px;padding:12px 14px;margin-bottom:16px;border:1px solid #e5e5e5;border-radius:6px;background:#fafafa;font-size:13px;}',
+      '.shop-wishlist-bar__title{margin:0;flex:1 1 auto;}',
+      '.shop-wishlist-bar__label{font-weight:600;}',
+      '.shop-wishlist-bar__select,.shop-wishlist-bar__input{height:34px;padding:0 10px;border:1px solid #ddd;border-radius:4px;background:#fff;font-size:13px;}',
+      '.shop-wishlist-bar__new{display:flex;gap:6px;margin:0;}',
+      '.shop-wishlist-bar__actions{display:flex;flex-wrap:wrap;gap:6px;margin-left:auto;}',
+      '.shop-wishlist-bar__btn{height:34px;padding:0 12px;border:1px solid #ddd;border-radius:4px;background:#fff;color:#333;cursor:pointer;font-size:13px;}',
+      '.shop-wishlist-bar__btn:hover{border-color:#333;}',
+      '.shop-wishlist-bar__btn--primary{background:#333;color:#fff;border-color:#333;}',
+      '.shop-wishlist-bar__btn:disabled{opacity:.5;cursor:wait;}',
+      '.shop-wishlist-bar__status{flex-basis:100%;margin:0;color:#555;}',
+      '.shop-wishlist-bar__status:empty{display:none;}',
+      '.shop-save-search{padding:4px 10px;border:1px dashed #999;border-radius:14px;background:#fff;color:#333;cursor:pointer;font-size:12px;}',
+      '.shop-save-search:hover{border-color:#333;}',
+      '.shop-save-search__form{display:flex;flex-direction:column;gap:6px;flex-basis:100%;margin-top:6px;font-size:13px;}',
+      '.shop-save-search__input{height:34px;padding:0 10px;border:1px solid #ddd;border-radius:4px;font-size:13px;}',
+      '.shop-save-search__notify{display:flex;align-items:center;gap:6px;}',
+      '.shop-save-search__actions{display:flex;gap:6px;}',
+      '.shop-save-search__submit,.shop-save-search__cancel{height:32px;padding:0 12px;border:1px solid #333;border-radius:4px;background:#fff;color:#333;cursor:pointer;font-size:13px;}',
+      '.shop-save-search__submit{background:#333;color:#fff;}',
+      '.shop-saved-searches{margin:8px 0 16px;font-size:13px;}',
+      '.shop-saved-searches__summary{cursor:pointer;font-weight:600;padding:6px 0;}',
+      '.shop-saved-searches__list{list-style:none;margin:4px 0 0;padding:0;}',
+      '.shop-saved-searches__item{display:flex;align-items:center;gap:4px;padding:2px 0;}',
+      '.shop-saved-searches__apply{flex:1;text-align:left;padding:4px 0;border:none;background:none;color:#333;cursor:pointer;text-decoration:underline;font-size:13px;}',
+      '.shop-saved-searches__action{padding:2px 8px;border:1px solid #ddd;border-radius:4px;background:#fff;color:#555;cursor:pointer;font-size:12px;}',
+      '.shop-saved-searches__status{margin:4px 0 0;color:#555;}',
+      '.shop-saved-searches__status:empty{display:none;}',
+      '.shop-quickview__error{margin:8px 0 0;padding:8px 10px;border-radius:4px;background:#fdecea;color:#b42318;font-size:13px;}',
+      '.shop-quickview__save{display:block;width:100%;margin-top:8px;padding:10px;border:1px solid #ddd;border-radius:4px;background:#fff;color:#333;cursor:pointer;font-size:13px;}',
+      '.shop-quickview__save[aria-pressed="true"]{border-color:#e53e3e;color:#e53e3e;}',
       /* Task 8: Equal-height product cards */
       '.shop-grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(240px,1fr));gap:20px;}',
       '.shop-card{display:flex;flex-direction:column;height:100%;}',
@@ -584,39 +1457,11 @@
      ============================================================ */
 
   /**
-   * Check if a product matches a single filter group.
-   * A product's parsedTags[key] is an array of values.
-   * The filter is satisfied if any selected value is in that array (OR within group).
+   * Filter products: AND between groups, OR within group. Handles both
+   * tag-based and special filters through the facet index.
    */
-  function productMatchesGroup(product, groupKey, selectedValues) {
-    var productValues = product.parsedTags[groupKey] || [];
-    for (var i = 0; i < selectedValues.length; i++) {
-      if (productValues.indexOf(selectedValues[i]) !== -1) return true;
-    }
-    return false;
-  }
-
-  /** Filter products: AND between groups, OR within group. Handles both tag-based and special filters. */
-  function applyAllFilters(products, filters) {
-    var activeKeys = [];
-    for (var k in filters) {
-      if (filters[k] && filters[k].length > 0) activeKeys.push(k);
-    }
-    if (activeKeys.length === 0) return products;
-
-    return products.filter(function (product) {
-      return activeKeys.every(function (key) {
-        if (SPECIAL_FILTER_KEYS.indexOf(key) !== -1) {
-          return productMatchesSpecial(product, key, filters[key]);
-        }
-        return productMatchesGroup(product, key, filters[key]);
-      });
-    });
-  }
-
-  // Keep backward compat alias
-  function filterProducts(products, filters) {
-    return applyAllFilters(products, filters);
+  function applyAllFilters(filters) {
+    return getFacetIndex().filter(filters);
   }
 
   /** Sort products */
@@ -637,28 +1482,24 @@
         break;
       case 'featured':
       default:
-        sorted.sort(function (a, b) { return a.featured - b.featured; });
+        // While searching, "featured" means most relevant first
+        sorted.sort(function (a, b) {
+          var scoreA = searchMatches[a.id] ? searchMatches[a.id].score : 0;
+          var scoreB = searchMatches[b.id] ? searchMatches[b.id].score : 0;
+          return scoreB - scoreA || a.featured - b.featured;
+        });
         break;
     }
     return sorted;
   }
 
-  /** Count products matching a filter value, excluding current group from active filters */
-  function countForValue(allProducts, currentFilters, groupKey, value) {
-    if (SPECIAL_FILTER_KEYS.indexOf(groupKey) !== -1) {
-      return countForSpecialValue(allProducts, currentFilters, groupKey, value);
-    }
-    var otherFilters = {};
-    for (var k in currentFilters) {
-      if (k !== groupKey && currentFilters[k] && currentFilters[k].length) {
-        otherFilters[k] = currentFilters[k];
-      }
-    }
-    var baseFiltered = applyAllFilters(allProducts, otherFilters);
-    return baseFiltered.filter(function (p) {
-      var vals = p.parsedTags[groupKey] || [];
-      return vals.indexOf(value) !== -1;
-    }).length;
+  /**
+   * Count products matching a filter value, excluding the value's own group
+   * from the active filters. Reads the counts computed once per update().
+   */
+  function countForValue(groupKey, value) {
+    var group = facetCounts[groupKey];
+    return (group && group[value]) || 0;
   }
 
   function totalActiveCount(filters) {
@@ -680,11 +1521,11 @@
     state.collection = params.get('collection') || null;
     state.highlightProduct = params.get('product') || null;
     state.sort = params.get('sort') || 'featured';
+    state.sharedWishlist = window.ShopWishlist.parseShared(window.location.search);
 
     state.activeFilters = {};
     FILTER_GROUPS.forEach(function (group) {
-      var paramKey = group.key.replace(/^__/, 'f_'); // __size → f_size in URL
-      var val = params.get(paramKey) || params.get(group.key);
+      var val = getURLFilter(params, group);
       if (val) {
         state.activeFilters[group.key] = val.split(',');
       }
@@ -699,7 +1540,13 @@
     }
   }
 
-  function writeURLParams() {
+  function getURLFilter(params, group) {
+    var paramKey = group.key.replace(/^__/, 'f_'); // __size → f_size in URL
+    return params.get(paramKey) || params.get(group.key);
+  }
+
+  /** Filters, sort, collection and search as query params — also the format of saved searches */
+  function buildSearchParams() {
     var params = new URLSearchParams();
 
     if (state.collection) params.set('collection', state.collection);
@@ -713,6 +1560,15 @@
     });
 
     if (searchTerm) params.set('q', searchTerm);
+    return params;
+  }
+
+  function writeURLParams() {
+    var params = buildSearchParams();
+    if (state.sharedWishlist) {
+      params.set('wishlist', state.sharedWishlist.productIds.join(','));
+      if (state.sharedWishlist.name) params.set('wishlist_name', state.sharedWishlist.name);
+    }
     var qs = params.toString();
     var newUrl = window.location.pathname + (qs ? '?' + qs : '');
     history.replaceState(null, '', newUrl);
@@ -722,8 +1578,13 @@
      HELPERS
      ============================================================ */
 
-  function formatPrice(amount) {
-    return '\u20ac' + amount.toFixed(2);
+  /**
+   * Format an amount (major units, presentment currency) with the shop's
+   * money format — see formatMoney in global.js.
+   * @param {boolean} [trimZeros] - Drop ".00" on whole amounts (price range labels)
+   */
+  function formatPrice(amount, trimZeros) {
+    return formatMoney(Math.round(amount * 100), { trimZeros: !!trimZeros });
   }
 
   function escapeHTML(str) {
@@ -732,49 +1593,29 @@
     return div.innerHTML;
   }
 
-  function refreshCartSections() {
-    fetch('/?sections=cart-drawer,cart-icon-bubble')
+  /** Record a shop-performance:<name> measure since `start` (a performance.now() time); see performance-telemetry.js */
+  function measureSince(name, start) {
+    try {
+      performance.measure('shop-performance:' + name, { start: start, end: performance.now() });
+    } catch (e) {
+      // Browsers without User Timing L3 only measure between named marks
+    }
+  }
+
+  /** Re-render the header cart count when no cart drawer rendered the new sections */
+  function refreshCartIconBubble() {
+    fetch(window.location.pathname + '?sections=cart-icon-bubble')
       .then(function (r) { return r.json(); })
       .then(function (sectionData) {
-        var cartDrawer = document.querySelector('cart-drawer');
-
-        // Update cart icon bubble (item count)
-        if (sectionData['cart-icon-bubble']) {
-          var bubble = document.getElementById('cart-icon-bubble');
-          if (bubble) {
-            var tmp2 = document.createElement('div');
-            tmp2.innerHTML = sectionData['cart-icon-bubble'];
-            var newBubble = tmp2.querySelector('#cart-icon-bubble');
-            if (newBubble) bubble.innerHTML = newBubble.innerHTML;
-          }
-        }
-
-        // Update cart drawer contents and open it
-        if (sectionData['cart-drawer'] && cartDrawer) {
-          var tmp = document.createElement('div');
-          tmp.innerHTML = sectionData['cart-drawer'];
-          var newDrawerInner = tmp.querySelector('#CartDrawer');
-          var existingDrawer = document.getElementById('CartDrawer');
-          if (newDrawerInner && existingDrawer) {
-            existingDrawer.innerHTML = newDrawerInner.innerHTML;
-          } else {
-            // Fallback: replace entire cart-drawer element contents
-            var newCDE = tmp.querySelector('cart-drawer');
-            if (newCDE) cartDrawer.innerHTML = newCDE.innerHTML;
-          }
-          // Re-bind overlay close handler after innerHTML replacement
-          var overlay = cartDrawer.querySelector('#CartDrawer-Overlay');
-          if (overlay) {
-            overlay.addEventListener('click', function () { cartDrawer.close(); });
-          }
-          // Re-bind escape key on the drawer
-          cartDrawer.classList.remove('is-empty');
-          // Open the cart drawer to show the user what was added
-          setTimeout(function () {
-            cartDrawer.classList.add('animate', 'active');
-            document.body.classList.add('overflow-hidden');
-          }, 100);
-        }
+        var bubble = document.getElementById('cart-icon-bubble');
+        if (!bubble || !sectionData['cart-icon-bubble']) return;
+        var tmp = document.createElement('div');
+        tmp.innerHTML = sectionData['cart-icon-bubble'];
+        var newBubble = tmp.querySelector('#cart-icon-bubble');
+        if (newBubble) bubble.innerHTML = newBubble.innerHTML;
+      })
+      .catch(function (err) {
+        console.error('Cart count refresh failed:', err);
       });
   }
 
@@ -805,7 +1646,7 @@
 
       var listHTML = '';
       group.values.forEach(function (value) {
-        var count = countForValue(PRODUCTS, state.activeFilters, group.key, value);
+        var count = countForValue(group.key, value);
         var isChecked = state.activeFilters[group.key] && state.activeFilters[group.key].indexOf(value) !== -1;
         var isDisabled = count === 0 && !isChecked;
         var disabledClass = isDisabled ? ' shop-filter-group__label--disabled' : '';
@@ -886,6 +1727,8 @@
           container.appendChild(pill);
         });
       });
+
+      renderSaveSearchControl(container);
     });
 
     var clearBtn = document.getElementById('shopClearAllFilters');
@@ -900,9 +1743,27 @@
 
   function renderCardSizeSelector(product) {
     if (!product.variants || product.variants.length <= 1) return '';
-    var btns = product.variants.map(function (v) {
-      var disabledAttr = v.available ? '' : ' disabled style="opacity:0.4;text-decoration:line-through;cursor:not-allowed;"';
-      return '<button class="shop-card__size-btn" type="button" data-variant-id="' + v.id + '" data-variant-price="' + v.price + '"' + disabledAttr + '>' + escapeHTML(v.title) + '</button>';
+
+    // One button per size; on multi-option products a size maps to several variants
+    var sizes = [];
+    var variantsBySize = {};
+    product.variants.forEach(function (v) {
+      var size = variantSize(product, v);
+      if (!size) return;
+      if (!variantsBySize[size]) {
+        variantsBySize[size] = [];
+        sizes.push(size);
+      }
+      variantsBySize[size].push(v);
+    });
+    if (sizes.length <= 1) return '';
+
+    var btns = sizes.map(function (size) {
+      var variants = variantsBySize[size];
+      var available = variants.some(function (v) { return v.available; });
+      var variantAttrs = variants.length === 1 ? ' data-variant-id="' + variants[0].id + '" data-variant-price="' + variants[0].price + '"' : '';
+      var disabledAttr = available ? '' : ' disabled style="opacity:0.4;text-decoration:line-through;cursor:not-allowed;"';
+      return '<button class="shop-card__size-btn" type="button" data-size="' + escapeHTML(size).replace(/"/g, '&quot;') + '"' + variantAttrs + disabledAttr + '>' + escapeHTML(size) + '</button>';
     }).join('');
     return '<div class="shop-card__sizes" style="display:flex;flex-wrap:wrap;gap:4px;margin-bottom:8px;">' + btns + '</div>';
   }
@@ -915,7 +1776,8 @@
     style.textContent =
       '.shop-card__size-btn{padding:4px 10px;font-size:12px;border:1px solid #ccc;background:#fff;border-radius:4px;cursor:pointer;transition:all .15s;}' +
       '.shop-card__size-btn:hover:not(:disabled){border-color:#333;}' +
-      '.shop-card__size-btn--active{background:#333;color:#fff;border-color:#333;}';
+      '.shop-card__size-btn--active{background:#333;color:#fff;border-color:#333;}' +
+      '.shop-quickview__size-btn:disabled{opacity:0.4;text-decoration:line-through;cursor:not-allowed;}';
     document.head.appendChild(style);
   })();
 
@@ -937,8 +1799,8 @@
 
     var isHighlighted = state.highlightProduct === product.id;
 
-    var isSaved = savedProducts.indexOf(product.id) !== -1;
-    var heartClass = isSaved ? 'shop-card__wishlist shop-card__wishlist--active' : 'shop-card__wishlist';
+    var saved = isSaved(product.id);
+    var heartClass = saved ? 'shop-card__wishlist shop-card__wishlist--active' : 'shop-card__wishlist';
 
     return '<div class="shop-card" role="listitem" data-product-id="' + product.id + '"' + (isHighlighted ? ' data-highlighted="true"' : '') + '>' +
       '<div class="shop-card__media">' +
@@ -946,16 +1808,16 @@
         secondaryImgHTML +
         badgeHTML +
         '<button class="' + heartClass + '" type="button" aria-label="Save ' + escapeHTML(product.name) + '" data-wishlist="' + product.id + '">' +
-          '<svg width="20" height="20" viewBox="0 0 24 24" fill="' + (isSaved ? 'currentColor' : 'none') + '" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path></svg>' +
+          '<svg width="20" height="20" viewBox="0 0 24 24" fill="' + (saved ? 'currentColor' : 'none') + '" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path></svg>' +
         '</button>' +
         '<button class="shop-card__quickview-trigger" type="button" aria-label="Quick view ' + escapeHTML(product.name) + '" data-quickview="' + product.id + '">' +
           '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path><circle cx="12" cy="12" r="3"></circle></svg>' +
         '</button>' +
       '</div>' +
       '<div class="shop-card__info">' +
-        '<p class="shop-card__vendor">' + escapeHTML(product.vendor) + '</p>' +
-        '<h3 class="shop-card__name">' + escapeHTML(product.name) + '</h3>' +
-        (tagSummary ? '<p class="shop-card__tags">' + escapeHTML(tagSummary) + '</p>' : '') +
+        '<p class="shop-card__vendor">' + highlightMatches(product.vendor, product.id) + '</p>' +
+        '<h3 class="shop-card__name">' + highlightMatches(product.name, product.id) + '</h3>' +
+        (tagSummary ? '<p class="shop-card__tags">' + highlightMatches(tagSummary, product.id) + '</p>' : '') +
         '<div class="shop-card__price-row">' +
           '<span class="' + priceClass + '">' + formatPrice(product.price) + '</span>' +
           comparePriceHTML +
@@ -964,7 +1826,175 @@
     '</div>';
   }
 
-  function renderGrid(products) {
+  /**
+   * Infinite scroll (section setting, data-infinite-scroll on the grid):
+   * pages load as the sentinel below the grid nears the viewport, and only
+   * the rows near the viewport are in the DOM. Card nodes leaving the window
+   * are recycled for the ones entering it; spacers keep the scroll height.
+   */
+  var infiniteScroll = false;
+  /** Rows are rendered this far above and below the viewport (px) */
+  var GRID_OVERSCAN = 800;
+
+  var gridWindow = {
+    products: [],
+    start: 0,
+    end: 0,
+    columns: 0,
+    /** Height of one row including the row gap, measured from rendered cards */
+    rowStride: 0,
+    /** productId → card node currently in the grid */
+    nodes: {},
+    pool: [],
+    topSpacer: null,
+    bottomSpacer: null,
+    frame: null
+  };
+
+  var cardTemplate = document.createElement('template');
+
+  /** Re-render a (possibly recycled) card node for `product` */
+  function fillCard(node, product, index, total) {
+    cardTemplate.innerHTML = renderProductCard(product);
+    var fresh = cardTemplate.content.firstElementChild;
+    while (node.attributes.length) node.removeAttribute(node.attributes[0].name);
+    Array.prototype.forEach.call(fresh.attributes, function (attr) { node.setAttribute(attr.name, attr.value); });
+    node.setAttribute('aria-posinset', index + 1);
+    node.setAttribute('aria-setsize', total);
+    node.innerHTML = '';
+    while (fresh.firstChild) node.appendChild(fresh.firstChild);
+    return node;
+  }
+
+  function createGridSpacer() {
+    var spacer = document.createElement('div');
+    spacer.className = 'shop-product-grid__spacer';
+    spacer.setAttribute('aria-hidden', 'true');
+    spacer.style.gridColumn = '1 / -1';
+    return spacer;
+  }
+
+  /** Send every rendered card back to the pool, so the next layout refills them */
+  function releaseGridNodes() {
+    for (var id in gridWindow.nodes) {
+      var node = gridWindow.nodes[id];
+      if (node.parentNode) node.parentNode.removeChild(node);
+      gridWindow.pool.push(node);
+    }
+    gridWindow.nodes = {};
+    gridWindow.start = gridWindow.end = 0;
+  }
+
+  /**
+   * Render the rows of gridWindow.products that are near the viewport.
+   * Cards already on screen are kept as they are unless `force` is set.
+   */
+  function layoutGridWindow(force) {
+    var grid = document.getElementById('shopProductGrid');
+    var products = gridWindow.products;
+    if (!grid || !products.length) return;
+
+    if (!gridWindow.topSpacer) {
+      gridWindow.topSpacer = createGridSpacer();
+      gridWindow.bottomSpacer = createGridSpacer();
+    }
+
+    var style = window.getComputedStyle(grid);
+    var columns = style.gridTemplateColumns.split(' ').filter(Boolean).length || 1;
+    var rowGap = parseFloat(style.rowGap) || 0;
+    // Until a row has been measured, assume a 3:4 image plus the card body
+    var stride = gridWindow.rowStride || (grid.clientWidth / columns) * 4 / 3 + 160;
+
+    var scrollY = window.pageYOffset;
+    var gridTop = grid.getBoundingClientRect().top + scrollY;
+    var rows = Math.ceil(products.length / columns);
+    var startRow = Math.min(rows, Math.max(0, Math.floor((scrollY - gridTop - GRID_OVERSCAN) / stride)));
+    var endRow = Math.min(rows, Math.max(startRow + 1, Math.ceil((scrollY + window.innerHeight - gridTop + GRID_OVERSCAN) / stride)));
+    var start = startRow * columns;
+    var end = Math.min(products.length, endRow * columns);
+
+    if (!force && start === gridWindow.start && end === gridWindow.end && columns === gridWindow.columns) return;
+    if (columns !== gridWindow.columns) releaseGridNodes();
+
+    var keep = {};
+    var i;
+    for (i = start; i < end; i++) keep[products[i].id] = true;
+    for (var id in gridWindow.nodes) {
+      if (keep[id]) continue;
+      var stale = gridWindow.nodes[id];
+      if (stale.parentNode) stale.parentNode.removeChild(stale);
+      gridWindow.pool.push(stale);
+      delete gridWindow.nodes[id];
+    }
+
+    var topSpacer = gridWindow.topSpacer;
+    var bottomSpacer = gridWindow.bottomSpacer;
+    topSpacer.style.display = startRow ? '' : 'none';
+    topSpacer.style.height = Math.max(0, startRow * stride - rowGap) + 'px';
+    bottomSpacer.style.display = endRow < rows ? '' : 'none';
+    bottomSpacer.style.height = Math.max(0, (rows - endRow) * stride - rowGap) + 'px';
+
+    grid.appendChild(topSpacer);
+    for (i = start; i < end; i++) {
+      var product = products[i];
+      var node = gridWindow.nodes[product.id];
+      if (!node) {
+        node = fillCard(gridWindow.pool.pop() || document.createElement('div'), product, i, products.length);
+        gridWindow.nodes[product.id] = node;
+      }
+      grid.appendChild(node);
+    }
+    grid.appendChild(bottomSpacer);
+
+    gridWindow.start = start;
+    gridWindow.end = end;
+    gridWindow.columns = columns;
+
+    // Measure the real row height and lay out again if the estimate was off
+    var first = gridWindow.nodes[products[start].id];
+    var last = gridWindow.nodes[products[end - 1].id];
+    var renderedRows = endRow - startRow;
+    if (first && last && renderedRows > 0) {
+      var measured = (last.offsetTop + last.offsetHeight - first.offsetTop + rowGap) / renderedRows;
+      if (measured > 0 && Math.abs(measured - gridWindow.rowStride) > 1) {
+        var firstMeasurement = !gridWindow.rowStride;
+        gridWindow.rowStride = measured;
+        if (firstMeasurement) layoutGridWindow(true);
+      }
+    }
+  }
+
+  function scheduleGridLayout() {
+    if (!infiniteScroll || gridWindow.frame) return;
+    gridWindow.frame = requestAnimationFrame(function () {
+      gridWindow.frame = null;
+      layoutGridWindow(false);
+    });
+  }
+
+  /** Scroll so the product is centred, rendering its row first if needed */
+  function scrollToProduct(productId) {
+    var grid = document.getElementById('shopProductGrid');
+    if (!infiniteScroll) {
+      var card = grid.querySelector('[data-product-id="' + productId + '"]');
+      if (card) setTimeout(function () { card.scrollIntoView({ behavior: 'smooth', block: 'center' }); }, 300);
+      return card;
+    }
+
+    var index = gridWindow.products.findIndex(function (p) { return p.id === productId; });
+    if (index === -1 || !gridWindow.rowStride) return null;
+    var row = Math.floor(index / (gridWindow.columns || 1));
+    var gridTop = grid.getBoundingClientRect().top + window.pageYOffset;
+    window.scrollTo(0, Math.max(0, gridTop + row * gridWindow.rowStride - window.innerHeight / 2));
+    layoutGridWindow(false);
+    return gridWindow.nodes[productId] || null;
+  }
+
+  /**
+   * @param {Array} products - The full filtered, sorted result list
+   * @param {boolean} [append] - Only more products were revealed; keep the rendered cards
+   */
+  function renderGrid(products, append) {
     var grid = document.getElementById('shopProductGrid');
     var empty = document.getElementById('shopEmptyState');
     var pagination = document.getElementById('shopPagination');
@@ -972,6 +2002,8 @@
     if (!grid) return;
 
     if (products.length === 0) {
+      releaseGridNodes();
+      gridWindow.products = [];
       grid.innerHTML = '';
       grid.style.display = 'none';
       if (empty) empty.style.display = '';
@@ -982,8 +2014,20 @@
     grid.style.display = '';
     if (empty) empty.style.display = 'none';
 
+    // Reveal enough pages to include a product linked to with ?product=
+    if (state.highlightProduct) {
+      var highlightIndex = products.findIndex(function (p) { return p.id === state.highlightProduct; });
+      if (highlightIndex !== -1) state.currentPage = Math.max(state.currentPage, Math.ceil((highlightIndex + 1) / ITEMS_PER_PAGE));
+    }
+
     var visibleProducts = products.slice(0, state.currentPage * ITEMS_PER_PAGE);
-    grid.innerHTML = visibleProducts.map(renderProductCard).join('');
+    if (infiniteScroll) {
+      if (!append) releaseGridNodes();
+      gridWindow.products = visibleProducts;
+      layoutGridWindow(true);
+    } else {
+      grid.innerHTML = visibleProducts.map(renderProductCard).join('');
+    }
 
     // Pagination
     var hasMore = visibleProducts.length < products.length;
@@ -995,42 +2039,151 @@
       }
     }
 
-    // Bind quick-view triggers
-    grid.querySelectorAll('[data-quickview]').forEach(function (btn) {
-      btn.addEventListener('click', function (e) {
-        e.stopPropagation();
-        openQuickView(btn.dataset.quickview);
-      });
-    });
-
-    // Bind card click to quick view
-    grid.querySelectorAll('.shop-card').forEach(function (card) {
-      card.addEventListener('click', function (e) {
-        if (e.target.closest('.shop-card__wishlist') || e.target.closest('.shop-card__quickview-trigger')) return;
-        openQuickView(card.dataset.productId);
-      });
-    });
-
-    // Bind wishlist hearts
-    grid.querySelectorAll('[data-wishlist]').forEach(function (btn) {
-      btn.addEventListener('click', function (e) {
-        e.stopPropagation();
-        toggleWishlist(btn.dataset.wishlist);
-        update();
-      });
-    });
-
     // Scroll to highlighted product
     if (state.highlightProduct) {
-      var highlighted = grid.querySelector('[data-product-id="' + state.highlightProduct + '"]');
+      var highlighted = scrollToProduct(state.highlightProduct);
       if (highlighted) {
-        setTimeout(function () { highlighted.scrollIntoView({ behavior: 'smooth', block: 'center' }); }, 300);
         setTimeout(function () { highlighted.removeAttribute('data-highlighted'); }, 3000);
       }
       state.highlightProduct = null;
     }
   }
 
+  function showMoreProducts() {
+    if (state.currentPage * ITEMS_PER_PAGE >= currentResults.length) return;
+    state.currentPage++;
+    var renderStart = performance.now();
+    renderGrid(currentResults, true);
+    measureSince('render-more', renderStart);
+    saveGridPosition();
+  }
+
+  /** One set of listeners on the grid instead of per-card ones */
+  function bindGridEvents() {
+    var grid = document.getElementById('shopProductGrid');
+    if (!grid) return;
+
+    grid.addEventListener('click', function (e) {
+      var heart = e.target.closest('[data-wishlist]');
+      if (heart) {
+        toggleWishlist(heart.dataset.wishlist);
+        update();
+        return;
+      }
+
+      var trigger = e.target.closest('[data-quickview]');
+      if (trigger) {
+        openQuickView(trigger.dataset.quickview);
+        return;
+      }
+
+      var card = e.target.closest('.shop-card');
+      if (card && grid.contains(card)) openQuickView(card.dataset.productId);
+    });
+  }
+
+  function initInfiniteScroll() {
+    var grid = document.getElementById('shopProductGrid');
+    var pagination = document.getElementById('shopPagination');
+    infiniteScroll = !!grid && grid.hasAttribute('data-infinite-scroll') && 'IntersectionObserver' in window;
+    if (!infiniteScroll) return;
+
+    var loadMoreBtn = document.getElementById('shopLoadMoreBtn');
+    if (loadMoreBtn) loadMoreBtn.style.display = 'none';
+
+    // Re-observing after each page makes the observer report again if the
+    // sentinel is still in view, so short pages keep filling the screen
+    var observer = new IntersectionObserver(function (entries) {
+      if (!entries[0].isIntersecting) return;
+      showMoreProducts();
+      observer.unobserve(entries[0].target);
+      observer.observe(entries[0].target);
+    }, { rootMargin: GRID_OVERSCAN + 'px 0px' });
+    if (pagination) observer.observe(pagination);
+
+    window.addEventListener('scroll', scheduleGridLayout, { passive: true });
+    window.addEventListener('resize', scheduleGridLayout);
+  }
+
+  /* ============================================================
+     GRID POSITION (restored on back navigation)
+     ============================================================ */
+
+  var GRID_POSITION_KEY = 'shopGridPosition';
+
+  function saveGridPosition() {
+    try {
+      sessionStorage.setItem(GRID_POSITION_KEY, JSON.stringify({
+        url: window.location.pathname + window.location.search,
+        visibleCount: state.currentPage * ITEMS_PER_PAGE,
+        scrollY: window.pageYOffset
+      }));
+    } catch (e) {
+      // Storage full or disabled: back navigation just starts at the top
+    }
+  }
+
+  /** The saved position when this page load is a back/forward navigation to the same URL */
+  function readGridPosition() {
+    var navigation = performance.getEntriesByType && performance.getEntriesByType('navigation')[0];
+    if (!navigation || navigation.type !== 'back_forward') return null;
+    try {
+      var saved = JSON.parse(sessionStorage.getItem(GRID_POSITION_KEY) || 'null');
+      return saved && saved.url === window.location.pathname + window.location.search ? saved : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /** Call before the first update(); returns a function that restores the scroll after it */
+  function restoreGridPosition() {
+    var saved = readGridPosition();
+    window.addEventListener('scroll', throttle(saveGridPosition, 250), { passive: true });
+    window.addEventListener('pagehide', saveGridPosition);
+    if (!saved) return function () {};
+
+    if ('scrollRestoration' in history) history.scrollRestoration = 'manual';
+    state.currentPage = Math.max(1, Math.ceil(saved.visibleCount / ITEMS_PER_PAGE));
+    return function () {
+      window.scrollTo(0, saved.scrollY);
+      if (infiniteScroll) layoutGridWindow(false);
+    };
+  }
+
+  /* ============================================================
+     SIZE GUIDE (modal and fit finder from size-guide.js)
+     ============================================================ */
+
+  /** Tables by product type from #shop-size-guides in sections/main-shop.liquid */
+  function loadSizeGuides() {
+    var el = document.getElementById('shop-size-guides');
+    if (!el) return {};
+    try {
+      return JSON.parse(el.textContent) || {};
+    } catch (e) {
+      console.error('Failed to parse size guides:', e);
+      return {};
+    }
+  }
+
+  var SIZE_GUIDES = loadSizeGuides();
+
+  /** The product's own size guide, else the one for its product type */
+  function sizeGuideFor(product) {
+    var guide = product.sizeGuide || SIZE_GUIDES[product.type];
+    return guide && Array.isArray(guide.rows) && guide.rows.length ? guide : null;
+  }
+
+  /** Index of the variant option a guide's sizes belong to, or -1 */
+  function sizeOptionIndex(product, guide) {
+    var modal = document.getElementById('ShopSizeGuide');
+    var name = String(guide.option || (modal && modal.dataset.option) || 'Size').trim().toLowerCase();
+    for (var i = 0; i < product.options.length; i++) {
+      if (String(product.options[i]).trim().toLowerCase() === name) return i;
+    }
+    return -1;
+  }
+
   /* ============================================================
      RENDER: QUICK VIEW DRAWER
      ============================================================ */
@@ -1054,14 +2207,27 @@
     }
     var tagsHTML = allTags.map(function (t) { return '<li class="shop-quickview__tag">' + escapeHTML(t) + '</li>'; }).join('');
 
-    // Variant sizes
-    var sizesHTML = '';
+    // Variant options: one selector per option, values preselected when there is no choice
     var hasMultipleVariants = product.variants.length > 1;
-    if (product.variants.length > 0) {
-      sizesHTML = product.variants.map(function (v, i) {
-        var activeClass = (!hasMultipleVariants && i === 0) ? ' shop-quickview__size-btn--active' : '';
-        var disabledAttr = v.available ? '' : ' disabled style="opacity:0.4;text-decoration:line-through;"';
-        return '<button class="shop-quickview__size-btn' + activeClass + '" type="button" data-variant-id="' + v.id + '" data-variant-price="' + v.price + '"' + disabledAttr + '>' + escapeHTML(v.title) + '</button>';
+    var optionValues = productOptionValues(product);
+    var selectedOptions = optionValues.map(function (values) {
+      return values.length === 1 ? values[0] : null;
+    });
+    var optionsHTML = '';
+    var sizeGuide = document.getElementById('ShopSizeGuide') ? sizeGuideFor(product) : null;
+    var sizeIndex = sizeGuide ? sizeOptionIndex(product, sizeGuide) : -1;
+    if (hasMultipleVariants) {
+      optionsHTML = product.options.map(function (name, index) {
+        var btns = optionValues[index].map(function (value, valueIndex) {
+          return '<button class="shop-quickview__size-btn" type="button" data-option-index="' + index + '" data-value-index="' + valueIndex + '" aria-pressed="false">' + escapeHTML(value) + '</button>';
+        }).join('');
+        var guideBtn = index === sizeIndex
+          ? '<button class="shop-quickview__size-guide link" type="button" aria-haspopup="dialog">Size guide</button>'
+          : '';
+        return '<div class="shop-quickview__section">' +
+          '<p class="shop-quickview__section-label">' + escapeHTML(name) + '</p>' + guideBtn +
+          '<div class="shop-quickview__sizes" role="group" aria-label="' + escapeHTML(name) + '">' + btns + '</div>' +
+        '</div>';
       }).join('');
     }
 
@@ -1082,10 +2248,7 @@
           '<span class="' + priceClass + '">' + formatPrice(product.price) + '</span>' +
           comparePriceHTML +
         '</div>' +
-        (sizesHTML ? '<div class="shop-quickview__section">' +
-          '<p class="shop-quickview__section-label">Size</p>' +
-          '<div class="shop-quickview__sizes" id="shopQuickviewSizes">' + sizesHTML + '</div>' +
-        '</div>' : '') +
+        optionsHTML +
         '<div class="shop-quickview__section">' +
           '<p class="shop-quickview__section-label">Quantity</p>' +
           '<div class="shop-quickview__quantity">' +
@@ -1094,7 +2257,10 @@
             '<button class="shop-quickview__qty-btn" type="button" id="shopQtyPlus">+</button>' +
           '</div>' +
         '</div>' +
-        '<button class="shop-quickview__add-btn" type="button" data-variant-id="' + (hasMultipleVariants ? '' : (product.variants[0] ? product.variants[0].id : product.id)) + '">' + (hasMultipleVariants ? 'Select Size' : 'Add to Cart') + '</button>' +
+        '<button class="shop-quickview__add-btn" type="button" data-variant-id="' + (hasMultipleVariants ? '' : (product.variants[0] ? product.variants[0].id : product.id)) + '">' + (hasMultipleVariants ? selectPrompt() : 'Add to Cart') + '</button>' +
+        '<p class="shop-quickview__error" id="shopQuickviewError" role="alert" hidden></p>' +
+        (window.BackInStock ? '<div class="shop-quickview__notify" id="shopQuickviewNotify" hidden></div>' : '') +
+        '<button class="shop-quickview__save" type="button" id="shopQuickviewSave"></button>' +
         '<a href="' + product.url + '" class="shop-quickview__view-full">View full product details</a>' +
       '</div>';
 
@@ -1107,28 +2273,157 @@
       });
     });
 
-    // Bind size buttons
-    var sizesContainer = document.getElementById('shopQuickviewSizes');
-    if (sizesContainer) {
-      sizesContainer.querySelectorAll('.shop-quickview__size-btn').forEach(function (btn) {
-        btn.addEventListener('click', function () {
-          sizesContainer.querySelectorAll('.shop-quickview__size-btn').forEach(function (b) { b.classList.remove('shop-quickview__size-btn--active'); });
-          btn.classList.add('shop-quickview__size-btn--active');
-          // Update Add to Cart button with selected variant
-          var addBtn = content.querySelector('.shop-quickview__add-btn');
-          if (addBtn) {
-            addBtn.dataset.variantId = btn.dataset.variantId;
-            addBtn.textContent = 'Add to Cart';
-          }
-          // Update price display
-          if (btn.dataset.variantPrice) {
-            var priceEl = content.querySelector('.shop-quickview__price');
-            if (priceEl) priceEl.textContent = formatPrice(parseFloat(btn.dataset.variantPrice));
+    // Bind option buttons. Clicking the selected value again clears it, so
+    // shoppers can back out of a combination that disables other values.
+    var optionButtons = content.querySelectorAll('.shop-quickview__size-btn[data-option-index]');
+
+    function selectPrompt() {
+      var index = selectedOptions.indexOf(null);
+      return 'Select ' + (index === -1 ? 'Options' : product.options[index]);
+    }
+
+    function refreshVariantSelection() {
+      showQuickViewError('');
+      optionButtons.forEach(function (btn) {
+        var index = parseInt(btn.dataset.optionIndex, 10);
+        var value = optionValues[index][parseInt(btn.dataset.valueIndex, 10)];
+        var isSelected = selectedOptions[index] === value;
+        btn.classList.toggle('shop-quickview__size-btn--active', isSelected);
+        btn.setAttribute('aria-pressed', isSelected ? 'true' : 'false');
+        var available = isOptionValueAvailable(product, selectedOptions, index, value);
+        btn.classList.toggle('shop-quickview__size-btn--sold-out', !available);
+        // Sold out values stay selectable while back in stock emails can be offered for them
+        btn.disabled = !isSelected && !available &&
+          !(window.BackInStock && isOptionValueAvailable(product, selectedOptions, index, value, true));
+      });
+
+      var variant = findVariant(product, selectedOptions);
+      var addBtn = content.querySelector('.shop-quickview__add-btn');
+      if (addBtn) {
+        addBtn.dataset.variantId = variant && variant.available ? variant.id : '';
+        if (selectedOptions.indexOf(null) !== -1) addBtn.textContent = selectPrompt();
+        else if (!variant) addBtn.textContent = 'Unavailable';
+        else addBtn.textContent = variant.available ? 'Add to Cart' : 'Sold Out';
+        addBtn.disabled = selectedOptions.indexOf(null) === -1 && !(variant && variant.available);
+      }
+
+      var priceEl = content.querySelector('.shop-quickview__price');
+      if (priceEl) priceEl.textContent = formatPrice(variant ? variant.price : product.price);
+
+      renderNotify(variant);
+
+      if (variant && variant.image) {
+        var mainImg = document.getElementById('shopQuickviewMainImg');
+        if (mainImg) mainImg.src = variant.image;
+        content.querySelectorAll('.shop-quickview__thumb').forEach(function (t) {
+          t.classList.toggle('shop-quickview__thumb--active', t.dataset.src === variant.image);
+        });
+      }
+    }
+
+    optionButtons.forEach(function (btn) {
+      btn.addEventListener('click', function () {
+        var index = parseInt(btn.dataset.optionIndex, 10);
+        var value = optionValues[index][parseInt(btn.dataset.valueIndex, 10)];
+        selectedOptions[index] = selectedOptions[index] === value && optionValues[index].length > 1 ? null : value;
+        refreshVariantSelection();
+      });
+    });
+    // Back in stock emails for a sold out variant (back-in-stock.js, on when enabled in theme settings)
+    function renderNotify(variant, force) {
+      var notify = document.getElementById('shopQuickviewNotify');
+      if (!notify) return;
+      var variantId = variant && !variant.available ? String(variant.id) : '';
+      if (!force && notify.dataset.variantId === variantId) return;
+      notify.dataset.variantId = variantId;
+      notify.hidden = !variantId;
+      if (!variantId) return;
+
+      if (window.BackInStock.isSubscribed(variantId)) {
+        notify.innerHTML = '<p class="shop-quickview__notify-status" role="status" tabindex="-1">We\u2019ll let you know when it\u2019s back in stock.</p>';
+        return;
+      }
+
+      notify.innerHTML =
+        '<form class="shop-quickview__notify-form" novalidate>' +
+          (window.BackInStock.customerId ? '' : '<input class="shop-quickview__notify-input" type="email" name="email" required autocomplete="email" aria-label="Email" placeholder="Email address">') +
+          '<button class="shop-quickview__notify-btn" type="submit">Notify me when available</button>' +
+          '<p class="shop-quickview__notify-error" role="alert" hidden></p>' +
+        '</form>';
+
+      var form = notify.querySelector('form');
+      var submitBtn = form.querySelector('.shop-quickview__notify-btn');
+      var error = form.querySelector('.shop-quickview__notify-error');
+      form.addEventListener('submit', function (e) {
+        e.preventDefault();
+        if (submitBtn.disabled) return;
+        if (form.elements.email && !form.elements.email.checkValidity()) {
+          error.textContent = 'Enter a valid email address.';
+          error.hidden = false;
+          form.elements.email.focus();
+          return;
+        }
+        error.hidden = true;
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Signing up...';
+
+        window.BackInStock.subscribe({
+          variantId: variantId,
+          productId: product.id,
+          email: form.elements.email ? form.elements.email.value.trim() : null
+        })
+          .then(function () {
+            // The shopper may have picked another variant in the meantime
+            if (notify.dataset.variantId !== variantId) return;
+            renderNotify(variant, true);
+            notify.querySelector('.shop-quickview__notify-status').focus();
+          })
+          .catch(function (err) {
+            console.error('Back in stock subscription failed:', err);
+            error.textContent = 'We couldn\u2019t sign you up. Please try again.';
+            error.hidden = false;
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Notify me when available';
+          });
+      });
+    }
+
+    if (hasMultipleVariants) refreshVariantSelection();
+    else renderNotify(product.variants[0]);
+
+    // Size guide: the fit finder's recommendation is selected like a click on its size
+    var sizeGuideBtn = content.querySelector('.shop-quickview__size-guide');
+    if (sizeGuideBtn) {
+      sizeGuideBtn.addEventListener('click', function () {
+        document.getElementById('ShopSizeGuide').show(sizeGuideBtn, {
+          guide: sizeGuide,
+          sizes: optionValues[sizeIndex],
+          onSelect: function (size) {
+            selectedOptions[sizeIndex] = size;
+            refreshVariantSelection();
           }
         });
       });
     }
 
+    // Save to the active wishlist, remembering the chosen variant for "Add all to cart"
+    var saveBtn = document.getElementById('shopQuickviewSave');
+    function renderSaveButton() {
+      var listName = wishlist.getList().name;
+      saveBtn.textContent = (isSaved(product.id) ? 'Saved to ' : 'Save to ') + listName;
+      saveBtn.setAttribute('aria-pressed', isSaved(product.id) ? 'true' : 'false');
+    }
+    if (saveBtn) {
+      renderSaveButton();
+      saveBtn.addEventListener('click', function () {
+        var addBtn = content.querySelector('.shop-quickview__add-btn');
+        var variantId = addBtn && !isSaved(product.id) ? addBtn.dataset.variantId : '';
+        toggleWishlist(product.id, variantId || null);
+        renderSaveButton();
+        update();
+      });
+    }
+
     // Bind quantity
     var qtyInput = document.getElementById('shopQtyInput');
     var qtyMinus = document.getElementById('shopQtyMinus');
@@ -1149,33 +2444,70 @@
         e.preventDefault();
         var variantId = qvAddBtn.dataset.variantId;
         if (!variantId) {
-          qvAddBtn.textContent = '\u26a0 Select Size';
-          setTimeout(function () { qvAddBtn.textContent = 'Select Size'; }, 1500);
+          var prompt = selectPrompt();
+          qvAddBtn.textContent = '\u26a0 ' + prompt;
+          setTimeout(function () { qvAddBtn.textContent = prompt; }, 1500);
           return;
         }
         var qty = parseInt((document.getElementById('shopQtyInput') || {}).value || '1', 10);
         qvAddBtn.textContent = 'Adding...';
         qvAddBtn.disabled = true;
+        showQuickViewError('');
+
+        // Same pipeline as product-form.js: the theme's cart UI (settings.cart_type)
+        // renders the returned sections, and the cart page type redirects
+        var cart = document.querySelector('cart-notification') || document.querySelector('cart-drawer');
+        var formData = new FormData();
+        formData.append('id', variantId);
+        formData.append('quantity', qty);
+        if (cart) cart.setActiveElement(qvAddBtn);
+
+        cartAdd(formData, cart)
+          .then(function (response) {
+            if (response.status) {
+              publish(PUB_SUB_EVENTS.cartError, {
+                source: 'shop-quick-view',
+                productVariantId: variantId,
+                errors: response.errors || response.description,
+                message: response.message
+              });
+              showQuickViewError(response.description || response.message || window.cartStrings.error);
+              qvAddBtn.textContent = 'Add to Cart';
+              qvAddBtn.disabled = false;
+              return;
+            }
+            if (!cart) {
+              window.location = window.routes.cart_url;
+              return;
+            }
 
-        fetch('/cart/add.js', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ items: [{ id: parseInt(variantId, 10), quantity: qty }] })
-        })
-        .then(function (response) { return response.json(); })
-        .then(function () {
-          qvAddBtn.textContent = 'Added \u2713';
-          setTimeout(function () { qvAddBtn.textContent = 'Add to Cart'; qvAddBtn.disabled = false; }, 1500);
-          refreshCartSections();
-        })
-        .catch(function (err) {
-          console.error('Add to cart failed:', err);
-          qvAddBtn.textContent = 'Error';
-          setTimeout(function () { qvAddBtn.textContent = 'Add to Cart'; qvAddBtn.disabled = false; }, 1500);
-        });
+            publish(PUB_SUB_EVENTS.cartUpdate, {
+              source: 'shop-quick-view',
+              productVariantId: variantId,
+              cartData: response
+            });
+            qvAddBtn.textContent = 'Add to Cart';
+            qvAddBtn.disabled = false;
+            closeQuickView();
+            cart.classList.remove('is-empty');
+            cart.renderContents(response);
+          })
+          .catch(function (err) {
+            console.error('Add to cart failed:', err);
+            showQuickViewError(window.cartStrings.error);
+            qvAddBtn.textContent = 'Add to Cart';
+            qvAddBtn.disabled = false;
+          });
       });
     }
 
+    function showQuickViewError(message) {
+      var error = document.getElementById('shopQuickviewError');
+      if (!error) return;
+      error.textContent = message;
+      error.hidden = !message;
+    }
+
     drawer.setAttribute('aria-hidden', 'false');
     document.body.classList.add('shop-drawer-open');
   }
@@ -1236,17 +2568,27 @@
      ============================================================ */
 
   function update() {
-    var filtered = filterProducts(PRODUCTS, state.activeFilters);
+    var filterStart = performance.now();
+    facetCounts = getFacetIndex().counts(state.activeFilters);
+
+    var filtered = applyAllFilters(state.activeFilters);
     filtered = searchProducts(filtered, searchTerm);
-    if (state.showSavedOnly) {
-      filtered = filtered.filter(function (p) { return savedProducts.indexOf(p.id) !== -1; });
+    if (state.sharedWishlist) {
+      var sharedIds = state.sharedWishlist.productIds;
+      filtered = filtered.filter(function (p) { return sharedIds.indexOf(p.id) !== -1; });
+    } else if (state.showSavedOnly) {
+      filtered = filtered.filter(function (p) { return isSaved(p.id); });
     }
     var sorted = sortProducts(filtered, state.sort);
+    currentResults = sorted;
+    measureSince('filter', filterStart);
 
+    var renderStart = performance.now();
     renderHeader(sorted.length);
     renderFilterGroups('shopFilterGroups');
     renderFilterGroups('shopMobileFilterGroups');
     renderActivePills();
+    renderWishlistBar();
     renderGrid(sorted);
     writeURLParams();
 
@@ -1256,6 +2598,7 @@
 
     var drawerCount = document.getElementById('shopDrawerResultCount');
     if (drawerCount) drawerCount.textContent = sorted.length;
+    measureSince('render', renderStart);
   }
 
   /* ============================================================
@@ -1317,45 +2660,67 @@
     
     toolbar.insertBefore(btn, sortWrapper);
 
+    var bar = document.createElement('div');
+    bar.className = 'shop-wishlist-bar';
+    bar.id = 'shopWishlistBar';
+    bar.style.display = 'none';
+    toolbar.parentNode.insertBefore(bar, toolbar.nextSibling);
+
     btn.addEventListener('click', function () {
       state.showSavedOnly = !state.showSavedOnly;
-      btn.classList.toggle('shop-wishlist-filter--active', state.showSavedOnly);
+      state.sharedWishlist = null;
+      updateWishlistFilterButton();
       state.currentPage = 1;
       update();
     });
   }
 
-    function init() {
-    // Load first page of products from Liquid JSON (max 250)
-    PRODUCTS = loadShopifyProducts();
+  function init() {
+    // Load first page of products from Liquid JSON
+    var firstPage = loadShopifyProducts();
+    var pagination = loadPaginationInfo();
+
+    function render() {
+      start(firstPage);
+      loadCatalogCache(firstPage, pagination ? pagination.totalPages : 1);
+    }
+
+    // Render page one straight away; only a shared preset link has to be read first
+    var presetLink = expandPresetLink();
+    if (presetLink) presetLink.then(render);
+    else render();
+  }
+
+  /**
+   * Merge the rest of the catalog in from cache once IndexedDB has opened, which may take a
+   * while, then fetch what is missing. On failure page one stays as rendered.
+   */
+  function loadCatalogCache(firstPage, totalPages) {
+    Promise.resolve()
+      .then(openCatalogStore)
+      .then(function (store) {
+        catalogStore = store;
+        return store.load().catch(function (err) {
+          console.warn('Shop page: failed to read catalog cache', err);
+          return [];
+        });
+      })
+      .then(function (cached) {
+        mergeCatalogCache(cached, firstPage);
+        syncCatalog(firstPage, totalPages);
+      })
+      .catch(function (err) {
+        console.warn('Shop page: failed to load the catalog, showing the first page only', err);
+      });
+  }
 
+  function start(products) {
     // Build filter groups dynamically from product tags
-    FILTER_GROUPS = buildFilterGroups(PRODUCTS);
+    setCatalog(products);
 
     // Read URL params (depends on FILTER_GROUPS being set)
     readURLParams();
 
-    // Check if there are more pages of products to fetch
-    var pagination = loadPaginationInfo();
-    if (pagination && pagination.totalPages > 1) {
-      fetchRemainingPages(pagination.totalPages, function (extraProducts) {
-        if (extraProducts.length > 0) {
-          // De-duplicate by product ID (in case of overlap)
-          var existingIds = {};
-          PRODUCTS.forEach(function (p) { existingIds[p.id] = true; });
-          extraProducts.forEach(function (p) {
-            if (!existingIds[p.id]) {
-              PRODUCTS.push(p);
-              existingIds[p.id] = true;
-            }
-          });
-          // Rebuild filters with full product set and re-render
-          FILTER_GROUPS = buildFilterGroups(PRODUCTS);
-          update();
-        }
-      });
-    }
-
     // Inject extra UI
     injectBackToTop();
     injectExtraStyles();
@@ -1363,6 +2728,15 @@
     injectWishlistFilter();
     updateWishlistCount();
 
+    injectSavedSearches();
+    savedSearches.sync().then(renderSavedSearches);
+
+    // Pull the customer's lists from their account (no-op for guests)
+    wishlist.sync().then(function () {
+      updateWishlistCount();
+      scheduleUpdate();
+    });
+
     // Sort dropdown
     var sortSelect = document.getElementById('shopSortSelect');
     if (sortSelect) {
@@ -1409,23 +2783,28 @@
 
     // Load more
     var loadMoreBtn = document.getElementById('shopLoadMoreBtn');
-    if (loadMoreBtn) loadMoreBtn.addEventListener('click', function () {
-      state.currentPage++;
-      var filtered = filterProducts(PRODUCTS, state.activeFilters);
-      var sorted = sortProducts(filtered, state.sort);
-      renderGrid(sorted);
-    });
+    if (loadMoreBtn) loadMoreBtn.addEventListener('click', showMoreProducts);
 
     // Escape key
     document.addEventListener('keydown', function (e) {
       if (e.key === 'Escape') {
+        // The size guide closes on its own, leaving the quick view open underneath
+        if (document.querySelector('size-guide-modal[open]')) return;
         closeQuickView();
         closeMobileDrawer();
       }
     });
 
+    // Grid: delegated card events, optional infinite scroll, back-navigation position
+    bindGridEvents();
+    initInfiniteScroll();
+    var restoreScroll = restoreGridPosition();
+
     // Initial render
+    var openingParams = new URLSearchParams(window.location.search);
     update();
+    restoreScroll();
+    openingView = { params: openingParams, search: window.location.search, restoreScroll: restoreScroll };
 
     // Open quick view if product param present
     if (state.highlightProduct) {
@@ -0,0 +1,256 @@
+/**
+ * Shop Saved Searches — Hydrox Workwear
+ *
+ * Named filter presets ("Women / Hi-Vis / EN ISO 20471 / Winter") for the
+ * shop page. A preset is just the page's own query string (filters, sort,
+ * search, collection), so applying one goes through readURLParams.
+ *
+ * - Kept in localStorage; for logged-in customers also synced through an
+ *   app-proxy endpoint to a customer metafield (see shop-storage.js).
+ *   GET → { searches: data | null }, POST { searches: data } → 2xx
+ * - Share links carry the preset in a compact `?preset=` code
+ *   (deflate + base64url where the browser supports CompressionStream).
+ * - subscribe() posts a preset to a "notify me about new matches" endpoint.
+ *
+ * Exposes window.ShopSavedSearches.
+ */
+
+(function () {
+  'use strict';
+
+  var STORAGE_KEY = 'shopSavedSearches';
+  var DATA_VERSION = 1;
+  var TOMBSTONE_TTL = 30 * 24 * 60 * 60 * 1000;
+
+  var readJSON = window.ShopStorage.readJSON;
+  var writeJSON = window.ShopStorage.writeJSON;
+  var removeKey = window.ShopStorage.removeKey;
+
+  /* ============================================================
+     DATA
+     { version, presets: { id: preset }, deleted: { id: time } }
+     preset: { id, name, query, notify, createdAt, updatedAt }
+     ============================================================ */
+
+  function now() {
+    return Date.now();
+  }
+
+  function emptyData() {
+    return { version: DATA_VERSION, presets: {}, deleted: {} };
+  }
+
+  function isValidData(data) {
+    return !!data && data.version === DATA_VERSION && !!data.presets && typeof data.presets === 'object';
+  }
+
+  /** Newest edit of each preset wins; a deletion wins over older edits */
+  function mergeData(a, b) {
+    var merged = emptyData();
+    var cutoff = now() - TOMBSTONE_TTL;
+
+    [a, b].forEach(function (data) {
+      Object.keys(data.deleted || {}).forEach(function (id) {
+        merged.deleted[id] = Math.max(merged.deleted[id] || 0, data.deleted[id]);
+      });
+      Object.keys(data.presets).forEach(function (id) {
+        var preset = data.presets[id];
+        var current = merged.presets[id];
+        if (!current || current.updatedAt < preset.updatedAt) merged.presets[id] = preset;
+      });
+    });
+
+    Object.keys(merged.presets).forEach(function (id) {
+      if ((merged.deleted[id] || 0) >= merged.presets[id].updatedAt) delete merged.presets[id];
+    });
+    Object.keys(merged.deleted).forEach(function (id) {
+      if (merged.deleted[id] < cutoff) delete merged.deleted[id];
+    });
+    return merged;
+  }
+
+  /* ============================================================
+     STORE
+     ============================================================ */
+
+  /**
+   * @param {Object} [options]
+   * @param {string|number} [options.customerId]
+   * @param {Object} [options.backend] - { load, save }; local-only when omitted
+   */
+  function SavedSearches(options) {
+    options = options || {};
+    this.customerId = options.customerId ? String(options.customerId) : null;
+    this.backend = options.backend || null;
+    this.storageKey = this.customerId ? STORAGE_KEY + ':' + this.customerId : STORAGE_KEY;
+
+    var guest = readJSON(STORAGE_KEY);
+    var data = isValidData(guest) ? guest : emptyData();
+    if (this.customerId) {
+      var cached = readJSON(this.storageKey);
+      if (isValidData(cached)) data = mergeData(cached, data);
+    }
+    this.data = data;
+  }
+
+  SavedSearches.prototype.commit = function () {
+    writeJSON(this.storageKey, this.data);
+    if (!this.backend) return Promise.resolve();
+    return this.backend.save(this.data).catch(function (err) {
+      console.warn('Saved searches: save failed, will retry on next sync', err);
+    });
+  };
+
+  /** Merge remote presets with the local ones and write back to both. Never rejects. */
+  SavedSearches.prototype.sync = function () {
+    var self = this;
+    if (!this.backend) return Promise.resolve();
+
+    return this.backend.load()
+      .then(function (remote) {
+        var merged = isValidData(remote) ? mergeData(remote, self.data) : self.data;
+        var changed = JSON.stringify(merged) !== JSON.stringify(remote);
+        self.data = merged;
+        writeJSON(self.storageKey, merged);
+        return changed ? self.backend.save(merged) : null;
+      })
+      .then(function () {
+        if (self.customerId) removeKey(STORAGE_KEY);
+      })
+      .catch(function (err) {
+        console.warn('Saved searches: sync failed', err);
+      });
+  };
+
+  /** Presets, newest first */
+  SavedSearches.prototype.list = function () {
+    var presets = this.data.presets;
+    return Object.keys(presets)
+      .map(function (id) { return presets[id]; })
+      .sort(function (a, b) { return b.createdAt - a.createdAt; });
+  };
+
+  SavedSearches.prototype.get = function (id) {
+    return this.data.presets[id] || null;
+  };
+
+  /** Save a preset. A preset with the same query is updated instead of duplicated. */
+  SavedSearches.prototype.save = function (name, query, options) {
+    options = options || {};
+    var time = now();
+    var existing = this.list().find(function (preset) { return preset.query === query; });
+    var preset = existing || {
+      id: 's' + time.toString(36) + Math.random().toString(36).slice(2, 6),
+      createdAt: time
+    };
+    preset.name = String(name).trim() || query;
+    preset.query = query;
+    preset.notify = !!options.notify;
+    preset.updatedAt = time;
+    this.data.presets[preset.id] = preset;
+    this.commit();
+    return preset;
+  };
+
+  SavedSearches.prototype.remove = function (id) {
+    if (!this.data.presets[id]) return;
+    delete this.data.presets[id];
+    this.data.deleted[id] = now();
+    this.commit();
+  };
+
+  /* ============================================================
+     SHARE CODES
+     "z" + base64url(deflate-raw(json)) or "j" + base64url(json),
+     where json is [name, query]
+     ============================================================ */
+
+  function toBase64Url(bytes) {
+    var binary = '';
+    for (var i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(str) {
+    var binary = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+    var bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  function pipe(bytes, stream) {
+    return new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer()
+      .then(function (buffer) { return new Uint8Array(buffer); });
+  }
+
+  /** Resolves with a URL-safe code for the preset */
+  function encode(preset) {
+    var bytes = new TextEncoder().encode(JSON.stringify([preset.name, preset.query]));
+    if (typeof CompressionStream === 'undefined') return Promise.resolve('j' + toBase64Url(bytes));
+
+    return pipe(bytes, new CompressionStream('deflate-raw'))
+      .then(function (compressed) {
+        return compressed.length < bytes.length ? 'z' + toBase64Url(compressed) : 'j' + toBase64Url(bytes);
+      })
+      .catch(function () { return 'j' + toBase64Url(bytes); });
+  }
+
+  /** Resolves with { name, query }, or null for a malformed or unsupported code */
+  function decode(code) {
+    return Promise.resolve()
+      .then(function () {
+        var bytes = fromBase64Url(code.slice(1));
+        if (code[0] === 'j') return bytes;
+        if (code[0] === 'z' && typeof DecompressionStream !== 'undefined') return pipe(bytes, new DecompressionStream('deflate-raw'));
+        throw new Error('Unsupported preset code');
+      })
+      .then(function (bytes) {
+        var parsed = JSON.parse(new TextDecoder().decode(bytes));
+        return { name: String(parsed[0] || ''), query: String(parsed[1] || '') };
+      })
+      .catch(function (err) {
+        console.warn('Saved searches: could not read preset link', err);
+        return null;
+      });
+  }
+
+  /* ============================================================
+     NOTIFICATIONS
+     ============================================================ */
+
+  /**
+   * Ask `endpoint` to notify the shopper when new products match the preset.
+   * Posts { preset: { name, query, url }, email, customerId }.
+   */
+  function subscribe(endpoint, preset, details) {
+    details = details || {};
+    return fetch(endpoint, {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({
+        preset: { name: preset.name, query: preset.query, url: details.url || '' },
+        email: details.email || null,
+        customerId: details.customerId || null
+      })
+    }).then(function (response) {
+      if (!response.ok) throw new Error('Subscription failed: ' + response.status);
+      return response;
+    });
+  }
+
+  window.ShopSavedSearches = {
+    create: function (options) {
+      return new SavedSearches(options);
+    },
+    encode: encode,
+    decode: decode,
+    subscribe: subscribe,
+    backends: {
+      proxy: function (endpoint) {
+        return window.ShopStorage.backends.proxy(endpoint, 'searches');
+      },
+      memory: window.ShopStorage.backends.memory
+    }
+  };
+})();
@@ -0,0 +1,215 @@
+/**
+ * Shop Search Index — Hydrox Workwear
+ *
+ * Tokenized, typo-tolerant search for the shop page search bar.
+ *
+ * - Diacritic folding, same idea as LocalizationForm.normalizeString, plus a
+ *   few letters NFD does not decompose (ł, ø, ß…), so "darba apgerbs" finds
+ *   "Darba apģērbs" and "zeme" finds "Žemė".
+ * - Every query word must match (AND), either exactly, as a prefix, or within
+ *   a small edit distance (transpositions count as one edit: "welidng").
+ * - Field weights rank title matches above tags, and tags above vendor.
+ *
+ * Exposes window.ShopSearch.
+ */
+
+(function () {
+  'use strict';
+
+  /** Letters that survive NFD + diacritic stripping */
+  var FOLD_MAP = { 'ł': 'l', 'ø': 'o', 'æ': 'ae', 'œ': 'oe', 'ß': 'ss', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ı': 'i' };
+  var FOLD_PATTERN = /[łøæœßđðþı]/g;
+
+  /** How good each kind of match is, before field weighting */
+  var MATCH_QUALITY = {
+    exact: 1,
+    prefix: 0.75,
+    fuzzy: 0.6,
+    fuzzyPrefix: 0.45
+  };
+
+  function normalize(str) {
+    return String(str || '')
+      .normalize('NFD')
+      .replace(/\p{Diacritic}/gu, '')
+      .toLowerCase()
+      .replace(FOLD_PATTERN, function (ch) { return FOLD_MAP[ch]; });
+  }
+
+  function tokenize(str) {
+    return normalize(str).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  }
+
+  /** Typos allowed for a query word of this length */
+  function maxEdits(length) {
+    if (length <= 3) return 0;
+    if (length <= 6) return 1;
+    return 2;
+  }
+
+  /**
+   * Optimal string alignment distance (Levenshtein + adjacent transpositions).
+   * Returns max + 1 as soon as the distance is known to exceed `max`.
+   */
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    var prevPrev = null;
+    var prev = [];
+    for (var j = 0; j <= b.length; j++) prev[j] = j;
+
+    for (var i = 1; i <= a.length; i++) {
+      var row = [i];
+      var rowMin = i;
+      for (j = 1; j <= b.length; j++) {
+        var cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        var value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+        if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, prevPrev[j - 2] + 1);
+        }
+        row[j] = value;
+        if (value < rowMin) rowMin = value;
+      }
+      if (rowMin > max) return max + 1;
+      prevPrev = prev;
+      prev = row;
+    }
+    return prev[b.length];
+  }
+
+  /** How well a query word matches an indexed term: a MATCH_QUALITY value, or 0 */
+  function matchTerm(word, term) {
+    if (term === word) return MATCH_QUALITY.exact;
+    if (term.indexOf(word) === 0) return MATCH_QUALITY.prefix;
+
+    var max = maxEdits(word.length);
+    if (!max) return 0;
+
+    var distance = editDistance(word, term, max);
+    if (distance <= max) return MATCH_QUALITY.fuzzy - 0.1 * (distance - 1);
+
+    // "jaket" → "jackets": compare against prefixes around the word's length
+    if (term.length > word.length) {
+      for (var len = word.length; len <= word.length + max && len < term.length; len++) {
+        if (editDistance(word, term.slice(0, len), max) <= max) return MATCH_QUALITY.fuzzyPrefix;
+      }
+    }
+    return 0;
+  }
+
+  /* ============================================================
+     INDEX
+     ============================================================ */
+
+  /**
+   * @param {Array} records
+   * @param {Array} fields - [{ weight: number, get: record => string | string[] }]
+   */
+  function SearchIndex(records, fields) {
+    var postings = {};
+
+    records.forEach(function (record, doc) {
+      fields.forEach(function (field) {
+        var values = [].concat(field.get(record) || []);
+        values.forEach(function (value) {
+          tokenize(value).forEach(function (term) {
+            var posting = postings[term] || (postings[term] = {});
+            if (!posting[doc] || posting[doc] < field.weight) posting[doc] = field.weight;
+          });
+        });
+      });
+    });
+
+    this.records = records;
+    this.postings = postings;
+    this.terms = Object.keys(postings);
+  }
+
+  /**
+   * Search for `query`. Returns null for an empty query, otherwise
+   * [{ record, score, terms }] sorted by descending score, where `terms` are
+   * the normalized indexed terms that matched (for highlighting).
+   */
+  SearchIndex.prototype.search = function (query) {
+    var self = this;
+    var words = tokenize(query).filter(function (word, i, all) { return all.indexOf(word) === i; });
+    if (!words.length) return null;
+
+    var hits = null;
+
+    words.forEach(function (word) {
+      var wordHits = {};
+
+      self.terms.forEach(function (term) {
+        var quality = matchTerm(word, term);
+        if (!quality) return;
+
+        var posting = self.postings[term];
+        for (var doc in posting) {
+          if (hits && !hits[doc]) continue;
+          var score = posting[doc] * quality;
+          var hit = wordHits[doc] || (wordHits[doc] = { score: 0, terms: [] });
+          if (score > hit.score) hit.score = score;
+          hit.terms.push(term);
+        }
+      });
+
+      // AND across query words: keep only documents every word has hit so far
+      var merged = {};
+      for (var doc in wordHits) {
+        var previous = hits ? hits[doc] : { score: 0, terms: [] };
+        merged[doc] = {
+          score: previous.score + wordHits[doc].score,
+          terms: previous.terms.concat(wordHits[doc].terms)
+        };
+      }
+      hits = merged;
+    });
+
+    return Object.keys(hits)
+      .map(function (doc) {
+        return { doc: +doc, record: self.records[doc], score: hits[doc].score, terms: hits[doc].terms };
+      })
+      .sort(function (a, b) { return b.score - a.score || a.doc - b.doc; })
+      .map(function (hit) {
+        return { record: hit.record, score: hit.score, terms: hit.terms };
+      });
+  };
+
+  /* ============================================================
+     HIGHLIGHTING
+     ============================================================ */
+
+  function escapeHTML(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Escape `text` and wrap every word whose normalized form is one of
+   * `terms` in <mark class="className">.
+   */
+  function highlight(text, terms, className) {
+    text = String(text || '');
+    if (!terms || !terms.length) return escapeHTML(text);
+
+    return text.split(/([^\p{L}\p{N}]+)/u).map(function (part) {
+      var term = normalize(part);
+      if (part && terms.indexOf(term) !== -1) {
+        return '<mark class="' + className + '">' + escapeHTML(part) + '</mark>';
+      }
+      return escapeHTML(part);
+    }).join('');
+  }
+
+  window.ShopSearch = {
+    build: function (records, fields) {
+      return new SearchIndex(records, fields);
+    },
+    normalize: normalize,
+    highlight: highlight
+  };
+})();
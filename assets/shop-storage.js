@@ -0,0 +1,121 @@
+/**
+ * Shop Storage — Hydrox Workwear
+ *
+ * Storage shared by the customer data kept in the browser and synced to a
+ * customer metafield: the shop page's wishlist (shop-wishlist.js) and saved
+ * searches (shop-saved-searches.js), and the cart's saved for later items
+ * (saved-items.js). Holds the localStorage helpers and the backends.
+ *
+ * A backend is anything with load() → Promise<data|null> and
+ * save(data) → Promise, so a store can swap the app proxy for memory().
+ *
+ * Exposes window.ShopStorage.
+ */
+
+(function () {
+  'use strict';
+
+  /* ============================================================
+     BACKENDS
+     ============================================================ */
+
+  /**
+   * App-proxy backend. The endpoint identifies the customer from the signed
+   * proxy request and stores `field` in their metafield.
+   * GET → { [field]: data | null }, POST { [field]: data } → 2xx
+   * @param {string} endpoint
+   * @param {string} field - Key of the data in request and response bodies
+   */
+  function createProxyBackend(endpoint, field) {
+    function check(response) {
+      if (!response.ok) throw new Error(endpoint + ' request failed: ' + response.status);
+      return response;
+    }
+
+    return {
+      load: function () {
+        return fetch(endpoint, { credentials: 'same-origin', headers: { Accept: 'application/json' } })
+          .then(check)
+          .then(function (response) { return response.json(); })
+          .then(function (body) { return (body && body[field]) || null; });
+      },
+      save: function (data) {
+        var body = {};
+        body[field] = data;
+        return fetch(endpoint, {
+          method: 'POST',
+          credentials: 'same-origin',
+          headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+          body: JSON.stringify(body)
+        }).then(check);
+      }
+    };
+  }
+
+  /** localStorage backend, for data that stays in the browser */
+  function createLocalBackend(key) {
+    return {
+      load: function () {
+        return Promise.resolve(readJSON(key));
+      },
+      save: function (data) {
+        writeJSON(key, data);
+        return Promise.resolve();
+      }
+    };
+  }
+
+  /** In-memory backend standing in for the app proxy */
+  function createMemoryBackend(initial) {
+    var stored = initial ? JSON.stringify(initial) : null;
+    return {
+      load: function () {
+        return Promise.resolve(stored ? JSON.parse(stored) : null);
+      },
+      save: function (data) {
+        stored = JSON.stringify(data);
+        return Promise.resolve();
+      }
+    };
+  }
+
+  /* ============================================================
+     LOCAL STORAGE
+     ============================================================ */
+
+  /** Stored value, or null when missing, unreadable or storage is blocked */
+  function readJSON(key) {
+    try {
+      return JSON.parse(localStorage.getItem(key) || 'null');
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function writeJSON(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+      console.warn('Shop storage: could not write ' + key + ' to localStorage', e);
+    }
+  }
+
+  function removeKey(key) {
+    try {
+      localStorage.removeItem(key);
+    } catch (e) {
+      console.warn('Shop storage: could not remove ' + key + ' from localStorage', e);
+    }
+  }
+
+  window.ShopStorage = {
+    readJSON: readJSON,
+    writeJSON: writeJSON,
+    removeKey: removeKey,
+    backends: {
+      proxy: createProxyBackend,
+      local: createLocalBackend,
+      memory: createMemoryBackend
+    }
+  };
+})();
@@ -0,0 +1,428 @@
+/**
+ * Shop Wishlist — Hydrox Workwear
+ *
+ * Named wishlists ("Site crew A", "Winter kit") that follow a logged-in
+ * customer across devices.
+ *
+ * - Lists are kept in localStorage and, for logged-in customers, synced to a
+ *   customer metafield through an app-proxy endpoint (GET loads, POST saves).
+ * - The remote store is a pluggable backend (see shop-storage.js). Use
+ *   ShopWishlist.backends.memory() to test without the app proxy.
+ * - Merging is per item with removal tombstones, so a product removed on one
+ *   device is not resurrected by another device's stale copy.
+ * - A guest's list is merged into the customer's lists on the first sync
+ *   after logging in.
+ *
+ * Exposes window.ShopWishlist.
+ */
+
+(function () {
+  'use strict';
+
+  /** Pre-lists format: a plain array of product ids */
+  var LEGACY_KEY = 'shopWishlist';
+  var STORAGE_KEY = 'shopWishlistLists';
+  var DEFAULT_LIST_ID = 'default';
+  var DEFAULT_LIST_NAME = 'Saved';
+  var DATA_VERSION = 1;
+
+  /** Removal tombstones older than this can no longer resurrect anything */
+  var TOMBSTONE_TTL = 30 * 24 * 60 * 60 * 1000;
+  var SAVE_DEBOUNCE = 800;
+
+  var readJSON = window.ShopStorage.readJSON;
+  var writeJSON = window.ShopStorage.writeJSON;
+  var removeKey = window.ShopStorage.removeKey;
+
+  /* ============================================================
+     DATA
+     { version, lists: { id: list }, deleted: { listId: time } }
+     list: { id, name, createdAt, renamedAt, items: { productId: item }, removed: { productId: time } }
+     item: { productId, variantId, addedAt }
+     ============================================================ */
+
+  function now() {
+    return Date.now();
+  }
+
+  function createList(id, name, time) {
+    return { id: id, name: name, createdAt: time, renamedAt: 0, items: {}, removed: {} };
+  }
+
+  function emptyData() {
+    var data = { version: DATA_VERSION, lists: {}, deleted: {} };
+    data.lists[DEFAULT_LIST_ID] = createList(DEFAULT_LIST_ID, DEFAULT_LIST_NAME, 0);
+    return data;
+  }
+
+  function isValidData(data) {
+    return !!data && data.version === DATA_VERSION && !!data.lists && typeof data.lists === 'object';
+  }
+
+  function mergeList(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+
+    var renamed = (a.renamedAt || 0) >= (b.renamedAt || 0) ? a : b;
+    var merged = {
+      id: a.id,
+      name: renamed.name,
+      renamedAt: renamed.renamedAt || 0,
+      createdAt: Math.min(a.createdAt || 0, b.createdAt || 0),
+      items: {},
+      removed: {}
+    };
+
+    [a, b].forEach(function (list) {
+      Object.keys(list.removed || {}).forEach(function (productId) {
+        merged.removed[productId] = Math.max(merged.removed[productId] || 0, list.removed[productId]);
+      });
+      Object.keys(list.items || {}).forEach(function (productId) {
+        var item = list.items[productId];
+        var current = merged.items[productId];
+        if (!current || current.addedAt < item.addedAt) merged.items[productId] = item;
+      });
+    });
+
+    // An item survives only if it was (re-)added after its latest removal
+    Object.keys(merged.items).forEach(function (productId) {
+      if ((merged.removed[productId] || 0) >= merged.items[productId].addedAt) {
+        delete merged.items[productId];
+      } else {
+        delete merged.removed[productId];
+      }
+    });
+    return merged;
+  }
+
+  /** Latest change made to a list, used to decide whether a deletion wins */
+  function listUpdatedAt(list) {
+    var latest = Math.max(list.createdAt || 0, list.renamedAt || 0);
+    Object.keys(list.items).forEach(function (id) { latest = Math.max(latest, list.items[id].addedAt); });
+    Object.keys(list.removed).forEach(function (id) { latest = Math.max(latest, list.removed[id]); });
+    return latest;
+  }
+
+  function mergeData(a, b) {
+    var merged = { version: DATA_VERSION, lists: {}, deleted: {} };
+
+    [a, b].forEach(function (data) {
+      Object.keys(data.deleted || {}).forEach(function (listId) {
+        merged.deleted[listId] = Math.max(merged.deleted[listId] || 0, data.deleted[listId]);
+      });
+      Object.keys(data.lists).forEach(function (listId) {
+        merged.lists[listId] = mergeList(merged.lists[listId], data.lists[listId]);
+      });
+    });
+
+    Object.keys(merged.lists).forEach(function (listId) {
+      if (listId === DEFAULT_LIST_ID) return;
+      if ((merged.deleted[listId] || 0) >= listUpdatedAt(merged.lists[listId])) delete merged.lists[listId];
+    });
+    if (!merged.lists[DEFAULT_LIST_ID]) merged.lists[DEFAULT_LIST_ID] = createList(DEFAULT_LIST_ID, DEFAULT_LIST_NAME, 0);
+
+    return prune(merged);
+  }
+
+  function prune(data) {
+    var cutoff = now() - TOMBSTONE_TTL;
+    Object.keys(data.deleted).forEach(function (listId) {
+      if (data.deleted[listId] < cutoff) delete data.deleted[listId];
+    });
+    Object.keys(data.lists).forEach(function (listId) {
+      var removed = data.lists[listId].removed;
+      Object.keys(removed).forEach(function (productId) {
+        if (removed[productId] < cutoff) delete removed[productId];
+      });
+    });
+    return data;
+  }
+
+  /* ============================================================
+     LOCAL STORAGE
+     ============================================================ */
+
+  /** The guest list, including one saved in the pre-lists format */
+  function readGuestData() {
+    var data = readJSON(STORAGE_KEY);
+    data = isValidData(data) ? data : emptyData();
+
+    var legacy = readJSON(LEGACY_KEY);
+    if (Array.isArray(legacy) && legacy.length) {
+      var list = data.lists[DEFAULT_LIST_ID];
+      legacy.forEach(function (productId, i) {
+        productId = String(productId);
+        if (!list.items[productId]) list.items[productId] = { productId: productId, variantId: null, addedAt: i + 1 };
+      });
+    }
+    return data;
+  }
+
+  /* ============================================================
+     WISHLIST
+     ============================================================ */
+
+  /**
+   * @param {Object} [options]
+   * @param {string|number} [options.customerId] - Logged-in customer; lists are cached per customer
+   * @param {Object} [options.backend] - Remote backend, see above; local-only when omitted
+   */
+  function Wishlist(options) {
+    options = options || {};
+    this.customerId = options.customerId ? String(options.customerId) : null;
+    this.backend = options.backend || null;
+    this.storageKey = this.customerId ? STORAGE_KEY + ':' + this.customerId : STORAGE_KEY;
+    this.listeners = [];
+    this.saveTimer = null;
+    this.activeListId = DEFAULT_LIST_ID;
+
+    var data = readGuestData();
+    if (this.customerId) {
+      var cached = readJSON(this.storageKey);
+      data = isValidData(cached) ? mergeData(cached, data) : data;
+    }
+    this.data = data;
+  }
+
+  Wishlist.prototype.onChange = function (callback) {
+    this.listeners.push(callback);
+  };
+
+  Wishlist.prototype.emit = function () {
+    var self = this;
+    this.listeners.forEach(function (callback) { callback(self); });
+  };
+
+  /** Persist locally, and schedule a remote save for logged-in customers */
+  Wishlist.prototype.commit = function () {
+    var self = this;
+    writeJSON(this.storageKey, this.data);
+    if (!this.customerId) removeKey(LEGACY_KEY);
+    this.emit();
+
+    if (!this.backend) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(function () {
+      self.backend.save(self.data).catch(function (err) {
+        console.warn('Wishlist: save failed, will retry on next sync', err);
+      });
+    }, SAVE_DEBOUNCE);
+  };
+
+  /**
+   * Merge the remote lists with the local ones and write the result back to
+   * both. Resolves once done; never rejects.
+   */
+  Wishlist.prototype.sync = function () {
+    var self = this;
+    if (!this.backend) return Promise.resolve();
+
+    return this.backend.load()
+      .then(function (remote) {
+        var merged = isValidData(remote) ? mergeData(remote, self.data) : self.data;
+        var changed = JSON.stringify(merged) !== JSON.stringify(remote);
+        self.data = merged;
+        if (!self.data.lists[self.activeListId]) self.activeListId = DEFAULT_LIST_ID;
+        writeJSON(self.storageKey, merged);
+        return changed ? self.backend.save(merged) : null;
+      })
+      .then(function () {
+        // The guest list now lives in the customer's lists
+        if (self.customerId) {
+          removeKey(STORAGE_KEY);
+          removeKey(LEGACY_KEY);
+        }
+        self.emit();
+      })
+      .catch(function (err) {
+        console.warn('Wishlist: sync failed', err);
+      });
+  };
+
+  /* ----- Lists ----- */
+
+  /** [{ id, name, count }], default list first, then by creation */
+  Wishlist.prototype.lists = function () {
+    var lists = this.data.lists;
+    return Object.keys(lists)
+      .map(function (id) { return lists[id]; })
+      .sort(function (a, b) {
+        if (a.id === DEFAULT_LIST_ID) return -1;
+        if (b.id === DEFAULT_LIST_ID) return 1;
+        return a.createdAt - b.createdAt;
+      })
+      .map(function (list) {
+        return { id: list.id, name: list.name, count: Object.keys(list.items).length };
+      });
+  };
+
+  Wishlist.prototype.getList = function (listId) {
+    return this.data.lists[listId || this.activeListId] || null;
+  };
+
+  Wishlist.prototype.setActiveList = function (listId) {
+    if (!this.data.lists[listId]) return;
+    this.activeListId = listId;
+    this.emit();
+  };
+
+  /** Create a list and make it active. Returns its id. */
+  Wishlist.prototype.createList = function (name) {
+    var id = 'l' + now().toString(36) + Math.random().toString(36).slice(2, 6);
+    this.data.lists[id] = createList(id, String(name).trim() || DEFAULT_LIST_NAME, now());
+    this.activeListId = id;
+    this.commit();
+    return id;
+  };
+
+  Wishlist.prototype.renameList = function (listId, name) {
+    var list = this.data.lists[listId];
+    name = String(name || '').trim();
+    if (!list || !name) return;
+    list.name = name;
+    list.renamedAt = now();
+    this.commit();
+  };
+
+  /** The default list cannot be deleted */
+  Wishlist.prototype.deleteList = function (listId) {
+    if (listId === DEFAULT_LIST_ID || !this.data.lists[listId]) return;
+    delete this.data.lists[listId];
+    this.data.deleted[listId] = now();
+    if (this.activeListId === listId) this.activeListId = DEFAULT_LIST_ID;
+    this.commit();
+  };
+
+  /* ----- Items ----- */
+
+  Wishlist.prototype.has = function (productId, listId) {
+    var list = this.getList(listId);
+    return !!list && !!list.items[String(productId)];
+  };
+
+  /** Items of a list, oldest first */
+  Wishlist.prototype.items = function (listId) {
+    var list = this.getList(listId);
+    if (!list) return [];
+    return Object.keys(list.items)
+      .map(function (id) { return list.items[id]; })
+      .sort(function (a, b) { return a.addedAt - b.addedAt; });
+  };
+
+  Wishlist.prototype.productIds = function (listId) {
+    return this.items(listId).map(function (item) { return item.productId; });
+  };
+
+  Wishlist.prototype.add = function (productId, options) {
+    options = options || {};
+    var list = this.getList(options.listId);
+    if (!list) return;
+    productId = String(productId);
+    list.items[productId] = { productId: productId, variantId: options.variantId || null, addedAt: now() };
+    delete list.removed[productId];
+    this.commit();
+  };
+
+  Wishlist.prototype.remove = function (productId, listId) {
+    var list = this.getList(listId);
+    productId = String(productId);
+    if (!list || !list.items[productId]) return;
+    delete list.items[productId];
+    list.removed[productId] = now();
+    this.commit();
+  };
+
+  /** Returns whether the product is saved afterwards */
+  Wishlist.prototype.toggle = function (productId, listId) {
+    if (this.has(productId, listId)) {
+      this.remove(productId, listId);
+      return false;
+    }
+    this.add(productId, { listId: listId });
+    return true;
+  };
+
+  /* ----- Sharing ----- */
+
+  /** A link to `baseUrl` that opens the list read-only: ?wishlist=1,2,3&wishlist_name=… */
+  Wishlist.prototype.shareUrl = function (listId, baseUrl) {
+    var list = this.getList(listId);
+    var url = new URL(baseUrl || window.location.pathname, window.location.origin);
+    url.search = '';
+    url.searchParams.set('wishlist', this.productIds(listId).join(','));
+    if (list) url.searchParams.set('wishlist_name', list.name);
+    return url.toString();
+  };
+
+  /** Save a shared list as a new list of this shopper's. Returns its id. */
+  Wishlist.prototype.importShared = function (shared) {
+    var id = this.createList(shared.name || DEFAULT_LIST_NAME);
+    var list = this.data.lists[id];
+    var time = now();
+    shared.productIds.forEach(function (productId, i) {
+      list.items[productId] = { productId: productId, variantId: null, addedAt: time + i };
+    });
+    this.commit();
+    return id;
+  };
+
+  /* ----- Cart ----- */
+
+  /**
+   * Add every item of a list to the cart in one request, through cartAdd()
+   * in global.js. `resolveVariant(item)` returns the variant id to add, or
+   * null to skip the item (sold out, product no longer in the catalog).
+   * `cart` is the cart-drawer to render sections for, if any.
+   * Resolves with { added: [item], skipped: [item], response }; rejects with
+   * the cart's error description when the add is refused.
+   */
+  Wishlist.prototype.addListToCart = function (listId, resolveVariant, cart) {
+    var added = [];
+    var skipped = [];
+    var formData = new FormData();
+
+    this.items(listId).forEach(function (item) {
+      var variantId = resolveVariant(item);
+      if (!variantId) {
+        skipped.push(item);
+        return;
+      }
+      formData.append('items[' + added.length + '][id]', variantId);
+      formData.append('items[' + added.length + '][quantity]', 1);
+      added.push(item);
+    });
+
+    if (!added.length) return Promise.resolve({ added: added, skipped: skipped, response: null });
+
+    return cartAdd(formData, cart).then(function (response) {
+      if (response.status) throw new Error(response.description || response.message || 'Add to cart failed');
+      return { added: added, skipped: skipped, response: response };
+    });
+  };
+
+  /** { name, productIds } from a shared-list URL query string, or null */
+  function parseShared(search) {
+    var params = new URLSearchParams(search);
+    var ids = params.get('wishlist');
+    if (ids === null) return null;
+    return {
+      name: params.get('wishlist_name') || '',
+      productIds: ids.split(',').filter(Boolean)
+    };
+  }
+
+  window.ShopWishlist = {
+    create: function (options) {
+      return new Wishlist(options);
+    },
+    parseShared: parseShared,
+    DEFAULT_LIST_ID: DEFAULT_LIST_ID,
+    backends: {
+      /** App-proxy backend (see shop-storage.js): GET → { wishlist: data | null }, POST { wishlist: data } */
+      proxy: function (endpoint) {
+        return window.ShopStorage.backends.proxy(endpoint, 'wishlist');
+      },
+      memory: window.ShopStorage.backends.memory
+    }
+  };
+})();
@@ -0,0 +1,302 @@
+/*
+ * Size guides for product pages and the shop page quick view. A guide is a measurement table from the
+ * product's custom.size_guide metafield, or from the shop's custom.size_guides metafield keyed by
+ * product type (the format is described in snippets/size-guide-modal.liquid). Tables are stored in
+ * cm and kg and converted when the shopper switches to inches; the choice is remembered.
+ *
+ * The fit finder recommends the size whose ranges are nearest the shopper's measurements and can
+ * select it: in the section's VariantSelects by default, or through the onSelect callback passed to
+ * show() (the shop page quick view).
+ */
+if (!window.SizeGuide) {
+  window.SizeGuide = class SizeGuide {
+    static CM_PER_INCH = 2.54;
+    static LB_PER_KG = 2.20462;
+    static MEASUREMENTS = ['chest', 'waist', 'hips', 'inside_leg', 'height', 'weight'];
+
+    // How much a miss on each measurement counts. Chest and waist decide how workwear fits; height and
+    // weight only tell sizes apart when nothing else was entered.
+    static WEIGHTS = { chest: 3, waist: 3, hips: 2, inside_leg: 1, height: 1, weight: 1 };
+
+    static parse(element) {
+      if (!element) return null;
+      try {
+        const guide = JSON.parse(element.textContent);
+        return guide && Array.isArray(guide.rows) && guide.rows.length ? guide : null;
+      } catch (e) {
+        console.error('Size guide: invalid table', e);
+        return null;
+      }
+    }
+
+    static range(row, measurement) {
+      const value = row[measurement];
+      if (value == null || value === '') return null;
+
+      const [min, max = min] = [].concat(value).map(Number);
+      return isNaN(min) || isNaN(max) ? null : [min, max];
+    }
+
+    // Converts a table value (cm or kg) to the shopper's unit
+    static fromMetric(value, measurement, unit) {
+      if (unit !== 'in') return value;
+      return measurement === 'weight' ? value * this.LB_PER_KG : value / this.CM_PER_INCH;
+    }
+
+    static toMetric(value, measurement, unit) {
+      if (unit !== 'in') return value;
+      return measurement === 'weight' ? value / this.LB_PER_KG : value * this.CM_PER_INCH;
+    }
+
+    static format(value) {
+      return String(Math.round(value * 10) / 10);
+    }
+
+    static columns(guide) {
+      return this.MEASUREMENTS.filter((measurement) => guide.rows.some((row) => this.range(row, measurement)));
+    }
+
+    /**
+     * The row that fits the given measurements (in cm and kg) best, as { size, exact }, or null when no
+     * row has any of them. A miss is measured in widths of the row's own range, so a size that is 2cm
+     * out on a 6cm band loses to one that is 2cm out on a 10cm band. Ties go to the larger size.
+     */
+    static recommend(guide, measurements) {
+      let best = null;
+
+      guide.rows.forEach((row) => {
+        let score = 0;
+        let compared = 0;
+
+        Object.entries(measurements).forEach(([measurement, value]) => {
+          const range = this.range(row, measurement);
+          if (!range) return;
+
+          const [min, max] = range;
+          const miss = value < min ? min - value : value > max ? value - max : 0;
+          score += (this.WEIGHTS[measurement] || 1) * (miss / (max - min || 1));
+          compared++;
+        });
+
+        if (compared && (!best || score <= best.score)) best = { size: String(row.size), score };
+      });
+
+      return best && { size: best.size, exact: best.score === 0 };
+    }
+  };
+}
+
+if (!customElements.get('size-guide-modal')) {
+  customElements.define(
+    'size-guide-modal',
+    class SizeGuideModal extends ModalDialog {
+      static UNIT_KEY = 'hydrox-size-guide-unit';
+
+      constructor() {
+        super();
+
+        this.guide = SizeGuide.parse(this.querySelector('script[data-guide]'));
+        this.strings = JSON.parse(this.querySelector('script[data-strings]').textContent);
+        this.table = this.querySelector('.size-guide-modal__table');
+        this.form = this.querySelector('.size-guide-modal__finder');
+        this.result = this.querySelector('.size-guide-modal__result');
+        this.selectButton = this.querySelector('button[name="select"]');
+
+        try {
+          this.unit = localStorage.getItem(SizeGuideModal.UNIT_KEY) || this.dataset.unit;
+        } catch (e) {
+          this.unit = this.dataset.unit;
+        }
+
+        this.querySelectorAll('button[name="unit"]').forEach((button) =>
+          button.addEventListener('click', () => this.setUnit(button.value, true))
+        );
+        this.form.addEventListener('submit', this.onSubmit.bind(this));
+        this.selectButton.addEventListener('click', this.onSelect.bind(this));
+      }
+
+      connectedCallback() {
+        // A product swap renders the section again; the modal from the previous product is still in <body>
+        if (!this.moved) {
+          document.querySelectorAll(`body > size-guide-modal#${CSS.escape(this.id)}`).forEach((modal) => {
+            if (modal !== this) modal.remove();
+          });
+        }
+        super.connectedCallback();
+      }
+
+      /**
+       * Opens the guide. Without options it shows its own table and selects sizes in the VariantSelects
+       * named by data-variant-selects; the shop page passes the product's guide, the sizes it offers and
+       * an onSelect(size) callback instead.
+       */
+      show(opener, { guide, sizes, onSelect } = {}) {
+        this.activeGuide = guide || this.guide;
+        if (!this.activeGuide) return;
+
+        this.onSelectSize = onSelect || this.selectVariantOption.bind(this);
+        this.sizes = sizes || this.getVariantOptionValues();
+        this.recommendation = null;
+        this.result.textContent = '';
+        this.selectButton.hidden = true;
+        this.setUnit(this.unit);
+
+        super.show(opener);
+      }
+
+      setUnit(unit, remember = false) {
+        const previous = this.unit;
+        this.unit = unit === 'in' ? 'in' : 'cm';
+        if (remember) {
+          try {
+            localStorage.setItem(SizeGuideModal.UNIT_KEY, this.unit);
+          } catch (e) {
+            // Storage disabled: the choice lasts until the page is left
+          }
+        }
+
+        this.querySelectorAll('button[name="unit"]').forEach((button) =>
+          button.setAttribute('aria-pressed', button.value === this.unit)
+        );
+        this.querySelectorAll('[data-unit]').forEach((element) => {
+          element.textContent = this.strings.units[this.unit][element.dataset.unit];
+        });
+
+        // Keep what the shopper already typed, in the new unit
+        if (previous !== this.unit) {
+          this.form.querySelectorAll('input[type="number"]').forEach((input) => {
+            if (input.value === '' || isNaN(input.valueAsNumber)) return;
+            const metric = SizeGuide.toMetric(input.valueAsNumber, input.name, previous);
+            input.value = SizeGuide.format(SizeGuide.fromMetric(metric, input.name, this.unit));
+          });
+        }
+
+        if (this.activeGuide) this.renderTable();
+      }
+
+      renderTable() {
+        const columns = SizeGuide.columns(this.activeGuide);
+        const unitFor = (measurement) => this.strings.units[this.unit][measurement === 'weight' ? 'weight' : 'length'];
+
+        const headRow = document.createElement('tr');
+        [this.strings.size, ...columns.map((column) => `${this.strings.measurements[column]} (${unitFor(column)})`)].forEach(
+          (label) => {
+            const cell = document.createElement('th');
+            cell.scope = 'col';
+            cell.textContent = label;
+            headRow.appendChild(cell);
+          }
+        );
+        this.table.tHead.replaceChildren(headRow);
+
+        this.table.tBodies[0].replaceChildren(
+          ...this.activeGuide.rows.map((row) => {
+            const tableRow = document.createElement('tr');
+            tableRow.dataset.size = row.size;
+            tableRow.classList.toggle(
+              'size-guide-modal__row--recommended',
+              String(row.size) === this.recommendation?.size
+            );
+
+            const sizeCell = document.createElement('th');
+            sizeCell.scope = 'row';
+            sizeCell.textContent = row.size;
+            tableRow.appendChild(sizeCell);
+
+            columns.forEach((column) => {
+              const cell = document.createElement('td');
+              const range = SizeGuide.range(row, column);
+              if (range) {
+                const [min, max] = range.map((value) => SizeGuide.format(SizeGuide.fromMetric(value, column, this.unit)));
+                cell.textContent = min === max ? min : `${min}–${max}`;
+              } else {
+                cell.textContent = '–';
+              }
+              tableRow.appendChild(cell);
+            });
+
+            return tableRow;
+          })
+        );
+      }
+
+      onSubmit(event) {
+        event.preventDefault();
+
+        const measurements = {};
+        this.form.querySelectorAll('input[type="number"]').forEach((input) => {
+          if (input.value === '' || isNaN(input.valueAsNumber) || input.valueAsNumber <= 0) return;
+          measurements[input.name] = SizeGuide.toMetric(input.valueAsNumber, input.name, this.unit);
+        });
+
+        // Per-type tables list sizes a product may not be made in; recommend from the ones it is
+        const rows = this.activeGuide.rows.filter((row) => this.findOfferedSize(row.size));
+        const guide = rows.length ? { ...this.activeGuide, rows } : this.activeGuide;
+
+        this.recommendation = Object.keys(measurements).length ? SizeGuide.recommend(guide, measurements) : null;
+        this.renderTable();
+
+        if (!this.recommendation) {
+          this.result.textContent = this.strings.missing;
+          this.selectButton.hidden = true;
+          return;
+        }
+
+        const { size, exact } = this.recommendation;
+        this.result.textContent = (exact ? this.strings.exact : this.strings.closest).replace('[size]', size);
+
+        // Without a size option to select in, the recommendation is shown on its own
+        const offered = this.findOfferedSize(size);
+        this.selectButton.hidden = !offered;
+        if (offered) this.selectButton.textContent = this.strings.select.replace('[size]', offered);
+      }
+
+      onSelect() {
+        const size = this.recommendation && this.findOfferedSize(this.recommendation.size);
+        if (!size) return;
+
+        this.hide();
+        this.onSelectSize(size);
+      }
+
+      findOfferedSize(size) {
+        const wanted = String(size).trim().toLowerCase();
+        return (this.sizes || []).find((value) => value.trim().toLowerCase() === wanted);
+      }
+
+      get optionGroup() {
+        const variantSelects = this.dataset.variantSelects && document.querySelector(this.dataset.variantSelects);
+        const option = (this.activeGuide.option || this.dataset.option).trim().toLowerCase();
+
+        return Array.from(variantSelects?.querySelectorAll('[data-option-name]') || []).find(
+          (group) => group.dataset.optionName.trim().toLowerCase() === option
+        );
+      }
+
+      getVariantOptionValues() {
+        const group = this.optionGroup;
+        if (!group) return [];
+
+        return Array.from(group.querySelectorAll('input[type="radio"], option')).map((input) => input.value);
+      }
+
+      selectVariantOption(size) {
+        const group = this.optionGroup;
+        if (!group) return;
+
+        const select = group.querySelector('select');
+        if (select) {
+          if (select.value === size) return;
+          select.value = size;
+          select.dispatchEvent(new Event('change', { bubbles: true }));
+          return;
+        }
+
+        const input = Array.from(group.querySelectorAll('input[type="radio"]')).find((radio) => radio.value === size);
+        if (!input || input.checked) return;
+        input.checked = true;
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+      }
+    }
+  );
+}
@@ -27,13 +27,6 @@ document.addEventListener('shopify:block:deselect', function (event) {
 
 document.addEventListener('shopify:section:load', () => {
   hideProductModal();
-  const zoomOnHoverScript = document.querySelector('[id^=EnableZoomOnHover]');
-  if (!zoomOnHoverScript) return;
-  if (zoomOnHoverScript) {
-    const newScriptTag = document.createElement('script');
-    newScriptTag.src = zoomOnHoverScript.src;
-    zoomOnHoverScript.parentNode.replaceChild(newScriptTag, zoomOnHoverScript);
-  }
 });
 
 document.addEventListener('shopify:section:unload', (event) => {